@@ -16,8 +16,24 @@ class PrivacyAnalytics {
     }
 
     init() {
+        // Without the storage layer (e.g. a page cached before it existed) the opt-out can't be read
+        if (!window.siteStorage) {
+            this.isEnabled = false;
+            return;
+        }
+
+        // Stay off until the stored opt-out choice can be read
+        if (!window.siteStorage.isLoaded) {
+            this.isEnabled = false;
+            window.siteStorage.ready.then(() => {
+                this.isEnabled = true;
+                this.init();
+            });
+            return;
+        }
+
         // Check if analytics is disabled
-        if (localStorage.getItem('analytics_disabled') === 'true') {
+        if (window.siteStorage.get('analytics-disabled', false)) {
             this.isEnabled = false;
             return;
         }
@@ -222,14 +238,14 @@ class PrivacyAnalytics {
     // User control methods
     enable() {
         this.isEnabled = true;
-        localStorage.removeItem('analytics_disabled');
+        window.siteStorage?.remove('analytics-disabled');
         this.trackEvent('Privacy', 'analytics_enabled');
         console.log('Analytics enabled');
     }
 
     disable() {
         this.isEnabled = false;
-        localStorage.setItem('analytics_disabled', 'true');
+        window.siteStorage?.set('analytics-disabled', true);
         this.events = []; // Clear any pending events
         console.log('Analytics disabled');
     }
@@ -264,7 +280,7 @@ class PrivacyAnalytics {
     clearUserData() {
         // Clear all collected data
         this.events = [];
-        localStorage.removeItem('analytics_disabled');
+        window.siteStorage?.remove('analytics-disabled');
         console.log('User data cleared');
     }
 
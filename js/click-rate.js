@@ -0,0 +1,125 @@
+/**
+ * Click Rate Model
+ * Turns click counts into time estimates for different input methods
+ */
+
+class ClickRateModel {
+    constructor() {
+        this.storageKey = 'click-rate';
+        this.profiles = {
+            mouse: { label: 'Manual mouse', icon: '🖱️', rate: 7, device: 'desktop' },
+            touch: { label: 'Touchscreen', icon: '📱', rate: 5, device: 'mobile' },
+            autoclicker: { label: 'Auto-clicker', icon: '🤖', rate: 20 },
+            measured: { label: 'Measured (tap test)', icon: '⏱️', rate: null }
+        };
+        this.activeProfile = this.detectDefaultProfile();
+
+        this.load();
+        if (!window.siteStorage.isLoaded) {
+            window.siteStorage.ready.then(() => this.load());
+        }
+    }
+
+    detectDefaultProfile() {
+        const coarsePointer = window.matchMedia && window.matchMedia('(pointer: coarse)').matches;
+        return coarsePointer ? 'touch' : 'mouse';
+    }
+
+    getProfiles() {
+        return Object.entries(this.profiles).map(([id, profile]) => ({
+            id,
+            ...profile,
+            available: profile.rate !== null
+        }));
+    }
+
+    getProfile(id = this.activeProfile) {
+        return { id, ...(this.profiles[id] || this.profiles.mouse) };
+    }
+
+    setProfile(id) {
+        if (!this.profiles[id] || this.profiles[id].rate === null) return false;
+
+        this.activeProfile = id;
+        this.save();
+        return true;
+    }
+
+    setMeasuredRate(rate) {
+        if (!Number.isFinite(rate) || rate <= 0) return false;
+
+        this.profiles.measured.rate = Math.round(rate * 10) / 10;
+        this.activeProfile = 'measured';
+        this.save();
+        return true;
+    }
+
+    /**
+     * Clicks per second from the timestamps (ms) of a tap test.
+     * Uses the span between first and last tap so reaction time is not counted.
+     */
+    measureRate(timestamps) {
+        if (timestamps.length < 2) return null;
+
+        const elapsed = (timestamps[timestamps.length - 1] - timestamps[0]) / 1000;
+        return elapsed > 0 ? (timestamps.length - 1) / elapsed : null;
+    }
+
+    getRate(id = this.activeProfile) {
+        return this.getProfile(id).rate || this.profiles.mouse.rate;
+    }
+
+    estimateSeconds(clicks, id = this.activeProfile) {
+        return Math.round(clicks / this.getRate(id));
+    }
+
+    compareDevices(clicks) {
+        return Object.entries(this.profiles)
+            .filter(([, profile]) => profile.device)
+            .map(([id, profile]) => ({
+                id,
+                device: profile.device,
+                icon: profile.icon,
+                label: profile.label,
+                seconds: this.estimateSeconds(clicks, id)
+            }));
+    }
+
+    formatDuration(seconds) {
+        if (seconds < 60) return `${seconds}s`;
+
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const secs = seconds % 60;
+
+        if (hours > 0) return minutes > 0 ? `${hours}h ${minutes}m` : `${hours}h`;
+        return secs > 0 ? `${minutes}m ${secs}s` : `${minutes}m`;
+    }
+
+    /**
+     * Starts from the defaults so a cleared store leaves no stale measurement behind
+     */
+    load() {
+        this.profiles.measured.rate = null;
+        this.activeProfile = this.detectDefaultProfile();
+
+        const saved = window.siteStorage.get(this.storageKey);
+        if (saved) {
+            if (Number.isFinite(saved.measuredRate) && saved.measuredRate > 0) {
+                this.profiles.measured.rate = saved.measuredRate;
+            }
+            if (this.profiles[saved.profile] && this.profiles[saved.profile].rate !== null) {
+                this.activeProfile = saved.profile;
+            }
+        }
+    }
+
+    save() {
+        window.siteStorage.set(this.storageKey, {
+            profile: this.activeProfile,
+            measuredRate: this.profiles.measured.rate
+        });
+    }
+}
+
+window.clickRateModel = new ClickRateModel();
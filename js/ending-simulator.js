@@ -0,0 +1,169 @@
+/**
+ * Ending Simulator
+ * Replays a reader-built timeline of purchases and clicks to show how each
+ * step moves the moral score between ending bands, with undo and redo
+ */
+
+class EndingSimulator {
+    /**
+     * bands: ending bands ordered best to worst, each covering scores down to its min
+     */
+    constructor({ upgrades = [], bands = [], startingMoral = 100, target = 25000 } = {}) {
+        this.upgrades = upgrades;
+        this.bands = bands;
+        this.startingMoral = startingMoral;
+        this.target = target;
+        this.steps = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Switching balance versions keeps the timeline but drops purchases of
+     * upgrades the new table doesn't have
+     */
+    setUpgrades(upgrades) {
+        this.upgrades = upgrades;
+        this.steps = this.steps.filter(step => step.type !== 'purchase' || this.findUpgrade(step.upgradeId));
+        this.redoStack = [];
+    }
+
+    // Editing
+    /**
+     * step: { type: 'purchase', upgradeId } or { type: 'clicks', count }.
+     * Returns false when the step isn't possible at the end of the timeline.
+     */
+    addStep(step) {
+        if (!this.isValidStep(step, this.steps)) return false;
+
+        this.steps.push(step.type === 'purchase' ?
+            { type: 'purchase', upgradeId: step.upgradeId } :
+            { type: 'clicks', count: step.count });
+        this.redoStack = [];
+        return true;
+    }
+
+    undo() {
+        if (!this.canUndo()) return false;
+
+        this.redoStack.push(this.steps.pop());
+        return true;
+    }
+
+    redo() {
+        if (!this.canRedo()) return false;
+
+        this.steps.push(this.redoStack.pop());
+        return true;
+    }
+
+    canUndo() {
+        return this.steps.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    reset() {
+        this.steps = [];
+        this.redoStack = [];
+    }
+
+    copyFrom(other) {
+        this.steps = other.steps.map(step => ({ ...step }));
+        this.redoStack = [];
+    }
+
+    isValidStep(step, steps) {
+        if (!step) return false;
+
+        if (step.type === 'clicks') {
+            return Number.isInteger(step.count) && step.count > 0;
+        }
+
+        // Each upgrade can only be bought once, in any order
+        return step.type === 'purchase' &&
+            Boolean(this.findUpgrade(step.upgradeId)) &&
+            !steps.some(existing => existing.type === 'purchase' && existing.upgradeId === step.upgradeId);
+    }
+
+    getAvailableUpgrades() {
+        // The first upgrade is owned from the start
+        return this.upgrades.slice(1).filter(upgrade => this.isValidStep({ type: 'purchase', upgradeId: upgrade.id }, this.steps));
+    }
+
+    // Replay
+    /**
+     * State before any step, then after each one. A purchase the reader
+     * can't afford yet clicks at the current rate until it is affordable.
+     * Earnings come from the best upgrade owned, so buying a weaker upgrade
+     * late costs moral without raising income.
+     */
+    getStates() {
+        if (this.upgrades.length === 0) return [];
+
+        let state = {
+            step: null,
+            clicks: 0,
+            money: 0,
+            earnings: this.upgrades[0].earnings,
+            moral: this.startingMoral,
+            autoClicks: 0
+        };
+        state.band = this.getBand(state.moral);
+        const states = [state];
+
+        this.steps.forEach(step => {
+            const next = { ...state, step, autoClicks: 0 };
+
+            if (step.type === 'clicks') {
+                next.clicks += step.count;
+                next.money += step.count * state.earnings;
+            } else {
+                const upgrade = this.findUpgrade(step.upgradeId);
+                const autoClicks = Math.ceil(Math.max(0, upgrade.cost - state.money) / state.earnings);
+
+                next.autoClicks = autoClicks;
+                next.clicks += autoClicks;
+                next.money += autoClicks * state.earnings - upgrade.cost;
+                next.moral += upgrade.moral;
+                next.earnings = Math.max(state.earnings, upgrade.earnings);
+                next.upgrade = upgrade;
+            }
+
+            next.band = this.getBand(next.moral);
+            next.crossedBand = next.band !== state.band;
+            states.push(next);
+            state = next;
+        });
+
+        return states;
+    }
+
+    /**
+     * Where the timeline ends up if the reader just clicks to the target from its last step
+     */
+    getProjection() {
+        const states = this.getStates();
+        const last = states[states.length - 1];
+        if (!last) return null;
+
+        const remainingClicks = Math.ceil(Math.max(0, this.target - last.money) / last.earnings);
+
+        return {
+            ...last,
+            remainingClicks,
+            totalClicks: last.clicks + remainingClicks
+        };
+    }
+
+    getBand(moral) {
+        return this.bands.find(band => moral >= band.min) || this.bands[this.bands.length - 1] || null;
+    }
+
+    findUpgrade(upgradeId) {
+        return this.upgrades.find(upgrade => upgrade.id === upgradeId) || null;
+    }
+}
+
+window.EndingSimulator = EndingSimulator;
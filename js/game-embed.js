@@ -4,14 +4,32 @@
  */
 
 class GameEmbedHandler {
-    constructor() {
+    /**
+     * handshakeGracePeriod: how long after the frame loads the game has to answer
+     * heartbeatInterval / heartbeatMisses: how often a ready game is pinged, and
+     * how many unanswered pings in a row mean it has stopped responding
+     */
+    constructor({ handshakeGracePeriod = 8000, heartbeatInterval = 10000, heartbeatMisses = 2 } = {}) {
         this.iframe = null;
         this.loadingOverlay = null;
-        this.gameLoaded = false;
-        this.retryCount = 0;
-        this.maxRetries = 3;
+        this.lifecycle = new GameLifecycle();
+        this.retryPolicy = new RetryPolicy({ maxAttempts: 3, baseDelay: 2000, maxDelay: 30000 });
+        this.sources = window.gameSources;
         this.loadTimeout = null;
         this.loadTimeoutDuration = 30000; // 30 seconds
+        this.protocol = null;
+        this.muted = false;
+        this.pausedWhileHidden = false;
+        this.handshakeGracePeriod = handshakeGracePeriod;
+        this.handshakeRetryInterval = 1000;
+        this.handshakeMaxInterval = 30000; // Slowest hello rate once the player keeps waiting
+        this.handshakeAttempt = 0; // Bumped whenever the frame changes, so stale handshakes stop
+        this.heartbeatInterval = heartbeatInterval;
+        this.heartbeatMisses = heartbeatMisses;
+        this.heartbeatTimer = null;
+        this.missedHeartbeats = 0;
+        this.unresponsive = false;
+        this.keptWaiting = false; // The player chose to play on without a handshake
 
         this.init();
     }
@@ -21,11 +39,67 @@ class GameEmbedHandler {
         this.loadingOverlay = document.getElementById('loadingOverlay');
 
         if (this.iframe) {
+            this.protocol = new GameProtocol({
+                getTarget: () => this.iframe.contentWindow,
+                origin: this.sources.getOrigin()
+            });
+            this.setupProtocolListeners();
             this.setupIframeListeners();
+            this.lifecycle.subscribe((change) => this.onStateChange(change));
+            this.retryPolicy.subscribe((event) => this.onRetryEvent(event));
+            this.lifecycle.transition('loading', { source: this.sources.getActive() });
             this.startLoadTimeout();
+
+            // The markup points at the main host; start from the last source that worked
+            this.loadActiveSource();
         }
     }
 
+    isGameLoaded() {
+        return this.lifecycle.is('ready', 'completed');
+    }
+
+    /**
+     * Overlay and frame follow the lifecycle; the status bar and analytics
+     * subscribe separately (see LoveMoneyApp)
+     */
+    onStateChange({ to, detail }) {
+        switch (to) {
+            case 'loading':
+                this.showLoadingState();
+                break;
+            case 'ready':
+                this.hideLoadingOverlay();
+                this.showGameLoaded();
+                break;
+            case 'errored':
+                this.showGameError(detail.message);
+                break;
+            case 'completed':
+                this.showGameComplete(detail);
+                break;
+        }
+    }
+
+    setupProtocolListeners() {
+        this.protocol.on('ready', () => this.onGameLoadSuccess());
+        this.protocol.on('error', (payload) => this.handleGameError(payload));
+        this.protocol.on('progress', (payload) => this.handleGameProgress(payload));
+        this.protocol.on('complete', (payload) => this.handleGameComplete(payload));
+
+        // Pause while the tab is in the background, and resume only what we paused
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden && this.lifecycle.is('ready') && this.protocol.supports('pause')) {
+                this.pauseGame().then(() => {
+                    this.pausedWhileHidden = true;
+                }).catch(() => {});
+            } else if (!document.hidden && this.pausedWhileHidden) {
+                this.pausedWhileHidden = false;
+                this.resumeGame().catch(() => {});
+            }
+        });
+    }
+
     setupIframeListeners() {
         // Iframe load event
         this.iframe.addEventListener('load', () => {
@@ -60,7 +134,7 @@ class GameEmbedHandler {
     startLoadTimeout() {
         this.clearLoadTimeout();
         this.loadTimeout = setTimeout(() => {
-            if (!this.gameLoaded) {
+            if (!this.isGameLoaded()) {
                 this.onLoadTimeout();
             }
         }, this.loadTimeoutDuration);
@@ -74,17 +148,13 @@ class GameEmbedHandler {
     }
 
     onIframeLoad() {
+        // The load event also fires for error pages and blank frames, so it
+        // proves nothing about the game; only a message from the game does
         this.clearLoadTimeout();
+        if (this.isGameLoaded()) return;
 
-        // Wait a bit to ensure game actually loads
-        setTimeout(() => {
-            if (this.isIframeContentAccessible()) {
-                this.onGameLoadSuccess();
-            } else {
-                // Content not accessible, but iframe loaded - assume success
-                this.onGameLoadSuccess();
-            }
-        }, 1000);
+        this.showConnectingState();
+        this.startHandshake();
     }
 
     onIframeError() {
@@ -97,66 +167,120 @@ class GameEmbedHandler {
     }
 
     onSrcChange() {
-        this.gameLoaded = false;
-        this.retryCount = 0;
-        this.showLoadingState();
+        this.handshakeAttempt++;
+        this.stopHeartbeat();
+        this.unresponsive = false;
+        this.keptWaiting = false;
+        this.protocol.reset();
+        this.pausedWhileHidden = false;
+        this.updateGameControls();
         this.startLoadTimeout();
+
+        // A retry blanks the frame on its way back to the same source; that is still the retry
+        if (this.iframe.getAttribute('src')) {
+            this.lifecycle.transition('loading', { source: this.sources.getActive() });
+        }
     }
 
     onGameLoadSuccess() {
-        if (this.gameLoaded) return; // Prevent multiple calls
+        if (this.isGameLoaded()) return; // Prevent multiple calls
+
+        this.retryPolicy.reset();
+        this.sources.markHealthy();
+        this.unresponsive = false;
+        this.startHeartbeat();
+        this.updateGameControls();
+        this.lifecycle.transition('ready', { source: this.sources.getActive() });
+    }
 
-        this.gameLoaded = true;
-        this.retryCount = 0;
-        this.hideLoadingOverlay();
-        this.showGameLoaded();
+    onGameLoadError(errorMessage) {
+        console.error('Game load error:', errorMessage);
 
-        // Track successful load
-        if (window.loveMoneyApp) {
-            window.loveMoneyApp.trackEvent('Game', 'load_success');
-            window.loveMoneyApp.updateStatus('✅ Game loaded successfully!', 'success');
+        this.clearLoadTimeout();
+        if (this.retryPolicy.schedule(() => this.reloadFrame(), errorMessage)) {
+            this.lifecycle.transition('retrying', { message: errorMessage });
+            return;
         }
 
-        // Auto-hide status after delay
+        // Out of retries here; move on to the next source before giving up
+        const next = this.sources.failover();
+        if (next) {
+            this.switchSource(next, errorMessage);
+        } else {
+            this.lifecycle.transition('errored', { message: errorMessage });
+        }
+    }
+
+    reloadFrame() {
+        if (!this.iframe) return;
+
+        const currentSrc = this.iframe.src;
+        this.iframe.src = '';
         setTimeout(() => {
-            const statusBar = document.getElementById('statusBar');
-            if (statusBar) {
-                statusBar.style.display = 'none';
-            }
-        }, 3000);
+            this.iframe.src = currentSrc;
+            this.startLoadTimeout();
+        }, 100);
     }
 
-    onGameLoadError(errorMessage) {
-        console.error('Game load error:', errorMessage);
+    // Game Sources
+    getGameUrl() {
+        return this.sources.getActive()?.url || this.iframe?.src;
+    }
 
-        if (this.retryCount < this.maxRetries) {
-            this.retryLoad();
-        } else {
-            this.showGameError(errorMessage);
+    /**
+     * Points the frame at the active source. Does nothing if it is already
+     * there, unless bustCache asks for a fresh copy.
+     */
+    loadActiveSource({ bustCache = false } = {}) {
+        const source = this.sources.getActive();
+        if (!source || !this.iframe) return;
+
+        this.protocol.origin = this.sources.getOrigin(source);
+        this.updateGameLinks(source);
+
+        const url = bustCache ?
+            `${source.url}${source.url.includes('?') ? '&' : '?'}t=${Date.now()}` :
+            source.url;
+        if (bustCache || this.iframe.src !== url) {
+            this.iframe.src = url;
+            this.startLoadTimeout();
         }
+    }
 
-        // Track error
-        if (window.loveMoneyApp) {
-            window.loveMoneyApp.trackEvent('Game', 'load_error', errorMessage);
-        }
+    /**
+     * "Play directly" links follow the frame, so they open a source that works
+     */
+    updateGameLinks(source) {
+        document.querySelectorAll('[data-game-link]').forEach(link => {
+            link.href = source.url;
+        });
     }
 
-    retryLoad() {
-        this.retryCount++;
-        console.log(`Retrying game load (${this.retryCount}/${this.maxRetries})`);
+    switchSource(source, reason) {
+        console.log(`Switching game source to ${source.label}:`, reason);
 
-        this.showRetryState();
+        // Each source gets its own set of retries
+        this.retryPolicy.reset();
+        this.loadActiveSource();
 
-        setTimeout(() => {
-            if (this.iframe) {
-                const currentSrc = this.iframe.src;
-                this.iframe.src = '';
-                setTimeout(() => {
-                    this.iframe.src = currentSrc;
-                    this.startLoadTimeout();
-                }, 100);
-            }
-        }, 2000);
+        if (window.loveMoneyApp) {
+            window.loveMoneyApp.trackEvent('Game', 'source_failover', source.id);
+        }
+    }
+
+    onRetryEvent(event) {
+        switch (event.type) {
+            case 'scheduled':
+            case 'offline':
+                this.showRetryState(event);
+                break;
+            case 'attempt':
+                console.log(`Retrying game load (${event.attempt}/${event.maxAttempts})`);
+                if (window.loveMoneyApp) {
+                    window.loveMoneyApp.trackEvent('Game', 'retry', String(event.attempt));
+                }
+                break;
+        }
     }
 
     showLoadingState() {
@@ -176,27 +300,71 @@ class GameEmbedHandler {
             this.iframe.classList.add('loading');
             this.iframe.classList.remove('loaded');
         }
+    }
+
+    showConnectingState() {
+        if (this.loadingOverlay) {
+            const subtitle = this.loadingOverlay.querySelector('.loading-subtitle');
+            if (subtitle) {
+                subtitle.textContent = 'Waiting for the game to start...';
+            }
+        }
 
         if (window.loveMoneyApp) {
-            window.loveMoneyApp.updateStatus('🔄 Loading game...', 'loading');
+            window.loveMoneyApp.updateStatus('🔄 Connecting to game...', 'loading');
         }
     }
 
-    showRetryState() {
+    showUnresponsiveState(reason) {
+        const stopped = reason === 'heartbeat';
+
         if (this.loadingOverlay) {
             this.loadingOverlay.classList.remove('hidden');
             this.loadingOverlay.innerHTML = `
-                <div class="loading-content">
-                    <div class="love-icon">🔄</div>
-                    <div class="loading-spinner"></div>
-                    <div class="loading-text">Retrying...</div>
-                    <div class="loading-subtitle">Attempt ${this.retryCount} of ${this.maxRetries}</div>
+                <div class="game-error game-unresponsive">
+                    <div class="error-icon">⏳</div>
+                    <div class="error-title">${stopped ? 'Game Stopped Responding' : 'Game Not Responding'}</div>
+                    <div class="error-message">
+                        ${stopped ?
+                            'The game has stopped answering. It may be frozen or may have crashed.' :
+                            'The game frame loaded, but the game inside it hasn\'t started. It may still be loading, or the frame may be showing an error page.'}
+                    </div>
+                    <div class="error-actions">
+                        <button onclick="window.gameEmbedHandler.keepWaiting()" class="error-btn">
+                            ⏳ Keep Waiting
+                        </button>
+                        <button onclick="window.gameEmbedHandler.forceReload()" class="error-btn">
+                            🔄 Reload Game
+                        </button>
+                        <a href="${this.getGameUrl()}" target="_blank" class="error-btn">
+                            🔗 Open Direct
+                        </a>
+                    </div>
                 </div>
             `;
         }
 
         if (window.loveMoneyApp) {
-            window.loveMoneyApp.updateStatus(`🔄 Retrying... (${this.retryCount}/${this.maxRetries})`, 'loading');
+            window.loveMoneyApp.updateStatus(stopped ? '⚠️ Game stopped responding' : '⚠️ Game is not responding', 'warning');
+        }
+    }
+
+    /**
+     * The status bar follows the retry policy's events itself (see LoveMoneyApp)
+     */
+    showRetryState(event) {
+        if (this.loadingOverlay) {
+            const offline = event.type === 'offline';
+
+            this.loadingOverlay.classList.remove('hidden');
+            this.loadingOverlay.innerHTML = `
+                <div class="loading-content">
+                    <div class="love-icon">${offline ? '📡' : '🔄'}</div>
+                    <div class="loading-spinner"></div>
+                    <div class="loading-text">${offline ? 'Waiting for a connection...' : `Retrying in ${Math.ceil(event.delay / 1000)}s...`}</div>
+                    <div class="loading-subtitle">Attempt ${event.attempt} of ${event.maxAttempts}</div>
+                </div>
+            `;
         }
     }
 
@@ -207,14 +375,12 @@ class GameEmbedHandler {
                 <div class="game-error">
                     <div class="error-icon">⚠️</div>
                     <div class="error-title">Game Loading Failed</div>
-                    <div class="error-message">
-                        ${errorMessage || 'Unable to load the LoveMoney game. Please check your internet connection and try again.'}
-                    </div>
+                    <div class="error-message"></div>
                     <div class="error-actions">
                         <button onclick="window.gameEmbedHandler.forceReload()" class="error-btn">
                             🔄 Try Again
                         </button>
-                        <a href="https://lovemoneygame.io/lovemoney.embed" target="_blank" class="error-btn">
+                        <a href="${this.getGameUrl()}" target="_blank" class="error-btn">
                             🔗 Open Direct
                         </a>
                         <button onclick="window.gameEmbedHandler.showTroubleshooting()" class="error-btn">
@@ -223,10 +389,9 @@ class GameEmbedHandler {
                     </div>
                 </div>
             `;
-        }
-
-        if (window.loveMoneyApp) {
-            window.loveMoneyApp.updateStatus('❌ Failed to load game', 'error');
+            // The message can come from the game frame, so it goes in as text
+            this.loadingOverlay.querySelector('.error-message').textContent =
+                errorMessage || 'Unable to load the LoveMoney game. Please check your internet connection and try again.';
         }
     }
 
@@ -246,16 +411,10 @@ class GameEmbedHandler {
     }
 
     forceReload() {
-        this.retryCount = 0;
-        this.gameLoaded = false;
-        this.showLoadingState();
-
-        if (this.iframe) {
-            const timestamp = Date.now();
-            const originalSrc = 'https://lovemoneygame.io/lovemoney.embed';
-            this.iframe.src = `${originalSrc}?t=${timestamp}`;
-            this.startLoadTimeout();
-        }
+        // Asked for by the player, so it gets a fresh set of retries
+        this.retryPolicy.reset();
+        this.sources.resetFailures();
+        this.loadActiveSource({ bustCache: true });
 
         if (window.loveMoneyApp) {
             window.loveMoneyApp.trackEvent('Game', 'force_reload');
@@ -320,6 +479,8 @@ class GameEmbedHandler {
             viewportSize: `${window.innerWidth}x${window.innerHeight}`,
             language: navigator.language,
             platform: navigator.platform,
+            gameSource: `${this.sources.getActive()?.label} (${this.getGameUrl()})`,
+            failedGameSources: this.sources.getTried().join(', ') || 'none',
             iframeSupport: this.testIframeSupport(),
             localStorageSupport: this.testLocalStorageSupport(),
             consoleErrors: this.getRecentErrors()
@@ -370,13 +531,8 @@ class GameEmbedHandler {
     }
 
     testLocalStorageSupport() {
-        try {
-            localStorage.setItem('test', 'test');
-            localStorage.removeItem('test');
-            return true;
-        } catch (e) {
-            return false;
-        }
+        // Probed once by the storage layer; anything else means a fallback is in use
+        return window.siteStorage?.backend === 'localStorage';
     }
 
     getRecentErrors() {
@@ -384,44 +540,222 @@ class GameEmbedHandler {
         return 'Error tracking not implemented';
     }
 
-    isIframeContentAccessible() {
-        try {
-            // This will throw an error if cross-origin
-            const iframeDoc = this.iframe.contentDocument || this.iframe.contentWindow.document;
-            return iframeDoc !== null;
-        } catch (e) {
-            // Expected for cross-origin iframes
-            return false;
+    handleIframeMessage(event) {
+        // Origin checks, validation and dispatch to the listeners above
+        this.protocol.handleMessage(event);
+    }
+
+    // Game Protocol
+    /**
+     * Says hello until the game answers. The game's script may not be
+     * listening yet when the frame loads, so one unanswered hello proves
+     * little; the grace period decides when to tell the player. Attempts
+     * carry on quietly after that in case the game is just slow, and the
+     * load counts as failed once the load timeout passes without an answer.
+     * If the player chose to keep waiting, hellos go on past the timeout
+     * instead, further and further apart.
+     */
+    startHandshake() {
+        const attempt = ++this.handshakeAttempt;
+        const startedAt = Date.now();
+        let warned = false;
+        let interval = this.handshakeRetryInterval;
+
+        const sayHello = () => {
+            if (attempt !== this.handshakeAttempt) return;
+            // A legacy game announces itself with a bare gameLoaded and never answers hello
+            if (this.isGameLoaded()) return;
+
+            const elapsed = Date.now() - startedAt;
+            if (!warned && elapsed >= this.handshakeGracePeriod) {
+                warned = true;
+                this.onGameUnresponsive('handshake');
+            }
+            if (elapsed >= this.loadTimeoutDuration) {
+                if (!this.keptWaiting) {
+                    // The frame loaded but the game never showed up, e.g. the host served an
+                    // error page; retry and fail over as if the frame itself had failed
+                    if (this.lifecycle.is('loading')) {
+                        this.onGameLoadError('Game did not respond');
+                    }
+                    return;
+                }
+                interval = Math.min(interval * 2, this.handshakeMaxInterval);
+            }
+
+            const sentAt = Date.now();
+            this.protocol.handshake(this.handshakeRetryInterval)
+                .then((peer) => {
+                    if (attempt !== this.handshakeAttempt) return;
+                    this.onHandshake(peer);
+                })
+                .catch(() => {
+                    // The game announced itself with ready instead
+                    if (this.protocol.peer || this.isGameLoaded()) return;
+                    setTimeout(sayHello, Math.max(0, interval - (Date.now() - sentAt)));
+                });
+        };
+
+        sayHello();
+    }
+
+    onHandshake(peer) {
+        this.onGameLoadSuccess();
+        this.updateGameControls();
+        this.startHeartbeat();
+
+        if (this.muted && this.protocol.supports('mute')) {
+            this.protocol.mute(true).catch(() => {});
+        }
+
+        if (window.loveMoneyApp) {
+            window.loveMoneyApp.trackEvent('Game', 'handshake', `v${peer.version}`);
         }
     }
 
-    handleIframeMessage(event) {
-        // Handle messages from the game iframe
-        if (event.origin !== 'https://lovemoneygame.io') {
-            return; // Only accept messages from the game domain
+    // Heartbeat
+    startHeartbeat() {
+        this.stopHeartbeat();
+
+        // Only games that completed the handshake answer pings
+        if (!this.protocol.peer) return;
+
+        this.missedHeartbeats = 0;
+        this.heartbeatTimer = setInterval(() => this.sendHeartbeat(), this.heartbeatInterval);
+    }
+
+    stopHeartbeat() {
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
         }
+    }
 
-        try {
-            const data = typeof event.data === 'string' ? JSON.parse(event.data) : event.data;
-
-            switch (data.type) {
-                case 'gameLoaded':
-                    this.onGameLoadSuccess();
-                    break;
-                case 'gameError':
-                    this.onGameLoadError(data.message);
-                    break;
-                case 'gameProgress':
-                    this.handleGameProgress(data);
-                    break;
-                case 'gameComplete':
-                    this.handleGameComplete(data);
-                    break;
-                default:
-                    console.log('Unknown message from game:', data);
+    sendHeartbeat() {
+        // Background tabs throttle the game's timers as well as ours
+        if (document.hidden) return;
+
+        this.protocol.ping(this.heartbeatInterval / 2)
+            .then(() => {
+                this.missedHeartbeats = 0;
+                this.onGameRecovered();
+            })
+            .catch(() => {
+                this.missedHeartbeats++;
+                if (this.missedHeartbeats >= this.heartbeatMisses) {
+                    this.onGameUnresponsive('heartbeat');
+                }
+            });
+    }
+
+    /**
+     * reason: 'handshake' when the frame loaded but the game never answered,
+     * 'heartbeat' when a running game stopped answering pings
+     */
+    onGameUnresponsive(reason) {
+        if (this.unresponsive) return;
+
+        this.unresponsive = true;
+        this.showUnresponsiveState(reason);
+
+        if (window.loveMoneyApp) {
+            window.loveMoneyApp.trackEvent('Game', 'unresponsive', reason);
+        }
+    }
+
+    onGameRecovered() {
+        if (!this.unresponsive) return;
+
+        this.unresponsive = false;
+        this.hideLoadingOverlay();
+        this.showGameLoaded();
+
+        if (window.loveMoneyApp) {
+            window.loveMoneyApp.updateStatus('✅ Game is responding again', 'success');
+            window.loveMoneyApp.trackEvent('Game', 'recovered');
+        }
+    }
+
+    /**
+     * Shows the frame anyway; the game may work without talking to the
+     * site. Handshake replies and pings still count if they arrive later.
+     */
+    keepWaiting() {
+        this.keptWaiting = true;
+        this.missedHeartbeats = 0;
+        this.hideLoadingOverlay();
+        this.showGameLoaded();
+
+        if (window.loveMoneyApp) {
+            window.loveMoneyApp.updateStatus('⚠️ Waiting for the game to respond...', 'warning');
+            window.loveMoneyApp.trackEvent('Game', 'keep_waiting');
+        }
+    }
+
+    pauseGame() {
+        return this.protocol.pause();
+    }
+
+    resumeGame() {
+        return this.protocol.resume();
+    }
+
+    restartGame() {
+        return this.protocol.restart().then(() => {
+            if (this.lifecycle.is('completed')) {
+                this.lifecycle.transition('ready', { source: this.sources.getActive(), restarted: true });
             }
-        } catch (e) {
-            console.log('Error parsing message from game:', e);
+
+            if (window.loveMoneyApp) {
+                window.loveMoneyApp.trackEvent('Game', 'restart');
+            }
+        });
+    }
+
+    toggleMute() {
+        const muted = !this.muted;
+
+        return this.protocol.mute(muted)
+            .then(() => {
+                this.muted = muted;
+                this.updateGameControls();
+
+                if (window.loveMoneyApp) {
+                    window.loveMoneyApp.trackEvent('Game', muted ? 'mute' : 'unmute');
+                }
+            })
+            .catch((error) => {
+                console.log('Could not change game sound:', error.message);
+            });
+    }
+
+    /**
+     * Controls that need the game's cooperation only show once it says it supports them
+     */
+    updateGameControls() {
+        const muteButton = document.getElementById('muteBtn');
+        if (!muteButton) return;
+
+        muteButton.hidden = !this.protocol.supports('mute');
+        muteButton.setAttribute('aria-pressed', String(this.muted));
+        muteButton.title = this.muted ? 'Unmute Game' : 'Mute Game';
+        muteButton.querySelector('.btn-icon').textContent = this.muted ? '🔇' : '🔊';
+        muteButton.querySelector('.btn-text').textContent = this.muted ? 'Unmute' : 'Mute';
+    }
+
+    /**
+     * Reloading wipes the player's session, so only errors that stop the
+     * game (or stop it from starting) do that; the rest are just recorded
+     */
+    handleGameError(data) {
+        if (data.fatal || this.lifecycle.is('loading')) {
+            this.onGameLoadError(data.message);
+            return;
+        }
+
+        console.warn('Game reported an error:', data.message);
+        if (window.loveMoneyApp) {
+            window.loveMoneyApp.trackEvent('Game', 'game_error', data.message);
         }
     }
 
@@ -433,13 +767,11 @@ class GameEmbedHandler {
     }
 
     handleGameComplete(data) {
-        // Handle game completion
-        if (window.loveMoneyApp) {
-            window.loveMoneyApp.trackEvent('Game', 'complete', data.ending);
-        }
+        // Finishing proves the game loaded, even if it never said so
+        this.onGameLoadSuccess();
 
-        // Show completion celebration
-        this.showGameComplete(data);
+        // The completion celebration and tracking follow the lifecycle
+        this.lifecycle.transition('completed', data);
     }
 
     showGameComplete(data) {
@@ -452,10 +784,10 @@ class GameEmbedHandler {
                 </div>
                 <div class="modal-body">
                     <p>You've completed LoveMoney!</p>
-                    <p><strong>Ending:</strong> ${data.ending || 'Unknown'}</p>
-                    <p><strong>Final Score:</strong> $${data.finalScore || 'N/A'}</p>
+                    <p><strong>Ending:</strong> <span class="completion-ending"></span></p>
+                    <p><strong>Final Score:</strong> <span class="completion-score"></span></p>
                     <div class="completion-actions">
-                        <button onclick="window.gameEmbedHandler.forceReload()" class="btn btn-primary">
+                        <button onclick="this.closest('.completion-modal').remove(); window.reloadGame()" class="btn btn-primary">
                             🔄 Play Again
                         </button>
                         <button onclick="window.shareGame()" class="btn btn-accent">
@@ -469,6 +801,9 @@ class GameEmbedHandler {
                 <button onclick="this.closest('.completion-modal').remove()" class="close-btn">×</button>
             </div>
         `;
+        // Both values arrive from the game frame, so they go in as text
+        completionModal.querySelector('.completion-ending').textContent = data.ending || 'Unknown';
+        completionModal.querySelector('.completion-score').textContent = data.finalScore ? `$${data.finalScore}` : 'N/A';
 
         document.body.appendChild(completionModal);
 
@@ -481,5 +816,8 @@ class GameEmbedHandler {
     }
 }
 
+// Global Functions (for HTML onclick handlers)
+window.toggleGameMute = () => window.gameEmbedHandler?.toggleMute();
+
 // Initialize game embed handler
 window.gameEmbedHandler = new GameEmbedHandler();
\ No newline at end of file
@@ -0,0 +1,80 @@
+/**
+ * Game Lifecycle
+ * The one place that knows what state the embedded game is in. The embed
+ * handler moves it between states; the overlay, status bar and analytics
+ * subscribe to the changes instead of each watching the iframe.
+ *
+ * States: idle, loading, retrying, ready, errored, completed. The moves
+ * allowed between them are listed in `transitions` below.
+ *
+ * Changes: { from, to, detail, at, duration }, duration being the time
+ * spent in the state just left
+ */
+
+class GameLifecycle {
+    constructor() {
+        this.state = 'idle';
+        this.enteredAt = Date.now();
+        this.listeners = [];
+
+        // Allowed moves out of each state. Loading and retrying may repeat,
+        // e.g. when a retry reloads the frame or the source changes.
+        this.transitions = {
+            idle: ['loading'],
+            loading: ['loading', 'ready', 'retrying', 'errored'],
+            retrying: ['retrying', 'loading', 'errored'],
+            ready: ['loading', 'retrying', 'completed'],
+            errored: ['loading'],
+            completed: ['loading', 'retrying', 'ready']
+        };
+    }
+
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(other => other !== listener);
+        };
+    }
+
+    is(...states) {
+        return states.includes(this.state);
+    }
+
+    can(to) {
+        return (this.transitions[this.state] || []).includes(to);
+    }
+
+    /**
+     * Returns false, leaving the state alone, when the move isn't allowed
+     * (e.g. a late "ready" after the game already failed)
+     */
+    transition(to, detail = {}) {
+        if (!this.can(to)) {
+            console.warn(`Ignored game lifecycle change ${this.state} → ${to}`);
+            return false;
+        }
+
+        const change = {
+            from: this.state,
+            to,
+            detail,
+            at: Date.now(),
+            duration: Date.now() - this.enteredAt
+        };
+
+        this.state = to;
+        this.enteredAt = change.at;
+
+        this.listeners.forEach(listener => {
+            try {
+                listener(change);
+            } catch (e) {
+                console.error('Game lifecycle listener failed:', e);
+            }
+        });
+
+        return true;
+    }
+}
+
+window.GameLifecycle = GameLifecycle;
@@ -0,0 +1,335 @@
+/**
+ * Game Protocol
+ * Versioned two-way postMessage protocol between the site and the embedded
+ * game. Every message travels in the same envelope:
+ *
+ *   { protocol: 'lovemoney', version, id, type, replyTo?, payload }
+ *
+ * Game → site:  ready, error, progress, complete, response
+ * Site → game:  hello, ping, pause, resume, mute, restart
+ *
+ * The site opens with `hello` once the frame loads; the game answers with a
+ * `response` carrying its version and the commands it supports. Commands are
+ * requests too: the game answers each with a `response` whose replyTo is the
+ * command's id, and `{ ok: false, error }` when it could not carry it out.
+ * The game may also send `ready` on its own when it finishes booting.
+ * Once ready, the site sends `ping` now and then as a heartbeat; every game
+ * that speaks the protocol must answer it, whatever else it supports.
+ *
+ * Games built before the protocol post bare { type: 'gameLoaded' } style
+ * messages; those are still accepted and upgraded to version 1 messages.
+ */
+
+class GameProtocol {
+    /**
+     * getTarget: returns the game's window (it changes when the frame reloads)
+     */
+    constructor({ getTarget, origin = 'https://lovemoneygame.io', requestTimeout = 5000 } = {}) {
+        this.name = 'lovemoney';
+        this.supportedVersions = [1];
+        this.version = Math.max(...this.supportedVersions);
+        this.getTarget = getTarget;
+        this.origin = origin;
+        this.requestTimeout = requestTimeout;
+        this.pending = new Map(); // Request id → { resolve, reject, timer }
+        this.listeners = {};
+        this.sequence = 0;
+        this.peer = null; // Handshake result: { version, capabilities, gameVersion }
+
+        // Payload fields per message type; a trailing ? marks an optional field
+        this.schema = {
+            hello: { from: 'site', fields: { versions: 'array', host: 'string' } },
+            ping: { from: 'site', fields: {} },
+            pause: { from: 'site', fields: {} },
+            resume: { from: 'site', fields: {} },
+            mute: { from: 'site', fields: { muted: 'boolean' } },
+            restart: { from: 'site', fields: {} },
+            ready: { from: 'game', fields: { version: 'number?', capabilities: 'array?', gameVersion: 'string?' } },
+            error: { from: 'game', fields: { message: 'string', fatal: 'boolean?' } },
+            progress: { from: 'game', fields: { stage: 'string', money: 'number?', moral: 'number?' } },
+            complete: { from: 'game', fields: { ending: 'string', finalScore: 'number?' } },
+            response: { from: 'game', fields: { ok: 'boolean', error: 'string?' } }
+        };
+
+        // Pre-protocol message type → version 1 type
+        this.legacyTypes = {
+            gameLoaded: 'ready',
+            gameError: 'error',
+            gameProgress: 'progress',
+            gameComplete: 'complete'
+        };
+    }
+
+    // Events
+    on(type, handler) {
+        (this.listeners[type] = this.listeners[type] || []).push(handler);
+        return () => {
+            this.listeners[type] = this.listeners[type].filter(listener => listener !== handler);
+        };
+    }
+
+    emit(type, message) {
+        (this.listeners[type] || []).forEach(handler => {
+            try {
+                handler(message.payload, message);
+            } catch (e) {
+                console.error(`Game protocol "${type}" handler failed:`, e);
+            }
+        });
+    }
+
+    // Receiving
+    /**
+     * Entry point for window `message` events. Returns the accepted message,
+     * or null when it was not for us or failed validation.
+     */
+    handleMessage(event) {
+        const message = this.parse(event);
+        if (!message) return null;
+
+        if (message.type === 'response') {
+            this.settle(message);
+        } else {
+            // A game that announces itself with a version has done its half of the handshake
+            if (message.type === 'ready' && message.payload.version !== undefined) {
+                this.setPeer(message.payload);
+            }
+            this.emit(message.type, message);
+        }
+
+        return message;
+    }
+
+    parse(event) {
+        if (event.origin !== this.origin) return null;
+
+        // Other frames from the game's origin (ads, popups) are not the game
+        const target = this.getTarget?.();
+        if (target && event.source && event.source !== target) return null;
+
+        let data = event.data;
+        if (typeof data === 'string') {
+            try {
+                data = JSON.parse(data);
+            } catch (e) {
+                return null; // Not ours; other scripts in the frame may post plain strings
+            }
+        }
+        if (!data || typeof data !== 'object') return null;
+
+        const message = data.protocol === this.name ? data : this.upgradeLegacy(data);
+        if (!message) return null;
+
+        const errors = this.validate(message, 'game');
+        if (errors.length > 0) {
+            console.warn(`Rejected game message "${message.type}":`, errors);
+            return null;
+        }
+
+        return message;
+    }
+
+    upgradeLegacy(data) {
+        const type = this.legacyTypes[data.type];
+        if (!type) return null;
+
+        // Old messages had no schema; fill in the required fields they could leave out
+        const defaults = {
+            error: { message: 'Unknown game error' },
+            progress: { stage: 'unknown' },
+            complete: { ending: 'Unknown' }
+        };
+        const { type: _legacyType, ...payload } = data;
+
+        return {
+            protocol: this.name,
+            version: 1,
+            id: `legacy-${++this.sequence}`,
+            type,
+            payload: { ...defaults[type], ...payload }
+        };
+    }
+
+    /**
+     * from: 'game' or 'site', the side the message should have come from
+     */
+    validate(message, from) {
+        const errors = [];
+        const spec = this.schema[message.type];
+
+        if (!this.supportedVersions.includes(message.version)) {
+            errors.push(`unsupported version ${message.version}`);
+        }
+        if (typeof message.id !== 'string' || !message.id) {
+            errors.push('id is required');
+        }
+        if (!spec) {
+            errors.push(`unknown type "${message.type}"`);
+            return errors;
+        }
+        if (spec.from !== from) {
+            errors.push(`"${message.type}" is not sent by the ${from}`);
+        }
+        if (message.type === 'response' && typeof message.replyTo !== 'string') {
+            errors.push('response needs replyTo');
+        }
+
+        const payload = message.payload;
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+            errors.push('payload must be an object');
+            return errors;
+        }
+
+        Object.entries(spec.fields).forEach(([field, rule]) => {
+            const optional = rule.endsWith('?');
+            const type = optional ? rule.slice(0, -1) : rule;
+            const value = payload[field];
+
+            if (value === undefined || value === null) {
+                if (!optional) errors.push(`${field} is required`);
+            } else if (type === 'array' ? !Array.isArray(value) : typeof value !== type) {
+                errors.push(`${field} must be a ${type}`);
+            }
+        });
+
+        return errors;
+    }
+
+    settle(message) {
+        const request = this.pending.get(message.replyTo);
+        if (!request) return; // Already timed out, or a reply to an earlier frame
+
+        clearTimeout(request.timer);
+        this.pending.delete(message.replyTo);
+
+        if (message.payload.ok) {
+            request.resolve(message.payload);
+        } else {
+            request.reject(new Error(message.payload.error || 'Game rejected the request'));
+        }
+    }
+
+    // Sending
+    createMessage(type, payload = {}, replyTo = null) {
+        const message = {
+            protocol: this.name,
+            version: this.peer?.version || this.version,
+            id: `${Date.now().toString(36)}-${++this.sequence}`,
+            type,
+            payload
+        };
+        if (replyTo) message.replyTo = replyTo;
+
+        const errors = this.validate(message, 'site');
+        if (errors.length > 0) {
+            throw new Error(`Invalid "${type}" message: ${errors.join(', ')}`);
+        }
+
+        return message;
+    }
+
+    /**
+     * Posts a message without waiting for an answer. Returns false when
+     * there is no game window to post to.
+     */
+    send(type, payload = {}) {
+        const target = this.getTarget?.();
+        if (!target) return false;
+
+        target.postMessage(this.createMessage(type, payload), this.origin);
+        return true;
+    }
+
+    /**
+     * Posts a message and resolves with the game's response payload.
+     * Rejects when the game answers with ok: false or not at all.
+     */
+    request(type, payload = {}, timeout = this.requestTimeout) {
+        const target = this.getTarget?.();
+        if (!target) {
+            return Promise.reject(new Error('Game frame is not available'));
+        }
+
+        const message = this.createMessage(type, payload);
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(message.id);
+                reject(new Error(`Game did not answer "${type}" within ${timeout}ms`));
+            }, timeout);
+
+            this.pending.set(message.id, { resolve, reject, timer });
+            target.postMessage(message, this.origin);
+        });
+    }
+
+    // Handshake
+    /**
+     * Resolves with { version, capabilities, gameVersion } once the game
+     * answers hello. Games without the protocol never answer, so this rejects
+     * on timeout and the site carries on without commands.
+     */
+    handshake(timeout = this.requestTimeout) {
+        return this.request('hello', {
+            versions: this.supportedVersions,
+            host: window.location.host
+        }, timeout).then(payload => this.setPeer(payload));
+    }
+
+    setPeer(payload) {
+        this.peer = {
+            version: this.supportedVersions.includes(payload.version) ? payload.version : 1,
+            capabilities: Array.isArray(payload.capabilities) ? payload.capabilities : [],
+            gameVersion: typeof payload.gameVersion === 'string' ? payload.gameVersion : null
+        };
+        return this.peer;
+    }
+
+    supports(command) {
+        return Boolean(this.peer?.capabilities.includes(command));
+    }
+
+    /**
+     * Forget the handshake and fail anything still waiting, e.g. when the
+     * frame navigates and the old game window is gone
+     */
+    reset(reason = 'Game frame reloaded') {
+        this.peer = null;
+        this.pending.forEach(request => {
+            clearTimeout(request.timer);
+            request.reject(new Error(reason));
+        });
+        this.pending.clear();
+    }
+
+    ping(timeout = this.requestTimeout) {
+        return this.request('ping', {}, timeout);
+    }
+
+    // Commands
+    pause() {
+        return this.command('pause');
+    }
+
+    resume() {
+        return this.command('resume');
+    }
+
+    mute(muted = true) {
+        return this.command('mute', { muted });
+    }
+
+    restart() {
+        return this.command('restart');
+    }
+
+    command(type, payload = {}) {
+        if (!this.supports(type)) {
+            return Promise.reject(new Error(`Game does not support "${type}"`));
+        }
+
+        return this.request(type, payload);
+    }
+}
+
+window.GameProtocol = GameProtocol;
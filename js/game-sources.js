@@ -0,0 +1,101 @@
+/**
+ * Game Sources
+ * Ordered list of places the game can be embedded from. The embed fails
+ * over to the next source once retries on the current one run out, and
+ * remembers the last source that loaded so the next visit starts there.
+ */
+
+class GameSources {
+    /**
+     * sources: tried in order; each is { id, label, url }. This default list
+     * is the one place game URLs are configured; the frame and "play
+     * directly" links start on the main host (as in the markup) and move to
+     * the active source. Mirrors go after the main host, in the order they
+     * should be tried.
+     *
+     * No mirror is configured yet, so failover() has nowhere to go and a
+     * failed load ends in the error state after its retries.
+     */
+    constructor(sources = [
+        { id: 'lovemoneygame', label: 'lovemoneygame.io', url: 'https://lovemoneygame.io/lovemoney.embed' }
+    ]) {
+        this.storageKey = 'game-source';
+        this.sources = sources.filter(source => this.isValidSource(source));
+        this.failed = new Set(); // Ids that ran out of retries since the last successful load
+        this.activeId = this.getRememberedId() || this.sources[0]?.id || null;
+    }
+
+    isValidSource(source) {
+        let valid = false;
+        try {
+            valid = Boolean(source?.id) && new URL(source.url).protocol === 'https:';
+        } catch (e) {
+            // Not a URL at all
+        }
+
+        if (!valid) {
+            console.warn(`Ignoring game source "${source?.id}": it needs an id and an https URL`);
+        }
+        return valid;
+    }
+
+    getRememberedId() {
+        const id = window.siteStorage?.get(this.storageKey, null);
+        return this.find(id) ? id : null;
+    }
+
+    find(id) {
+        return this.sources.find(source => source.id === id) || null;
+    }
+
+    getActive() {
+        return this.find(this.activeId);
+    }
+
+    getOrigin(source = this.getActive()) {
+        return source ? new URL(source.url).origin : null;
+    }
+
+    /**
+     * True when the active source is not the first choice, i.e. a mirror
+     */
+    isFallback() {
+        return this.sources.length > 0 && this.activeId !== this.sources[0].id;
+    }
+
+    /**
+     * Marks the active source as failed and moves to the next untried one,
+     * in list order after it. Returns null when every source has failed.
+     */
+    failover() {
+        if (this.activeId) this.failed.add(this.activeId);
+
+        const start = Math.max(0, this.sources.findIndex(source => source.id === this.activeId));
+        const next = [...this.sources.slice(start + 1), ...this.sources.slice(0, start + 1)]
+            .find(source => !this.failed.has(source.id));
+        if (!next) return null;
+
+        this.activeId = next.id;
+        return next;
+    }
+
+    markHealthy() {
+        this.failed.clear();
+        if (this.activeId) {
+            window.siteStorage?.set(this.storageKey, this.activeId);
+        }
+    }
+
+    /**
+     * Gives every source another chance, e.g. when the player reloads by hand
+     */
+    resetFailures() {
+        this.failed.clear();
+    }
+
+    getTried() {
+        return Array.from(this.failed);
+    }
+}
+
+window.gameSources = new GameSources();
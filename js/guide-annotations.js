@@ -0,0 +1,82 @@
+/**
+ * Guide Annotations
+ * Bookmarks and personal notes attached to guide sections and tips, kept
+ * on this device and carried along in progress exports
+ */
+
+class GuideAnnotations {
+    constructor() {
+        this.storageKey = 'guide-annotations';
+        this.maxNoteLength = 2000;
+    }
+
+    /**
+     * Map of anchor id → { bookmarked, note, title, updatedAt }. The title is
+     * stored so an annotation still reads well if its anchor leaves the guide.
+     */
+    getAll() {
+        const saved = window.siteStorage.get(this.storageKey, {});
+        return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+    }
+
+    get(anchorId) {
+        return this.getAll()[anchorId] || null;
+    }
+
+    replaceAll(annotations) {
+        window.siteStorage.set(this.storageKey, annotations);
+    }
+
+    toggleBookmark(anchorId, title) {
+        const bookmarked = !this.get(anchorId)?.bookmarked;
+        this.update(anchorId, title, { bookmarked });
+        return bookmarked;
+    }
+
+    setNote(anchorId, title, note) {
+        this.update(anchorId, title, { note: String(note || '').trim().slice(0, this.maxNoteLength) });
+    }
+
+    remove(anchorId) {
+        const annotations = this.getAll();
+        delete annotations[anchorId];
+        this.replaceAll(annotations);
+    }
+
+    update(anchorId, title, changes) {
+        const annotations = this.getAll();
+        const entry = {
+            bookmarked: false,
+            note: '',
+            ...annotations[anchorId],
+            ...changes,
+            title,
+            updatedAt: Date.now()
+        };
+
+        // An entry with neither a bookmark nor a note has nothing left to keep
+        if (!entry.bookmarked && !entry.note) {
+            delete annotations[anchorId];
+        } else {
+            annotations[anchorId] = entry;
+        }
+
+        this.replaceAll(annotations);
+    }
+
+    /**
+     * Notes as search documents, pointing at the passage they are attached to
+     */
+    toSearchDocuments() {
+        return Object.entries(this.getAll())
+            .filter(([, entry]) => entry.note)
+            .map(([anchorId, entry]) => ({
+                id: anchorId,
+                title: `📝 ${entry.title}`,
+                text: entry.note,
+                page: 'My Notes'
+            }));
+    }
+}
+
+window.guideAnnotations = new GuideAnnotations();
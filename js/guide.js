@@ -8,8 +8,29 @@ class GuideController {
         this.currentSection = null;
         this.sections = [];
         this.scrollTimeout = null;
-        this.searchIndex = [];
+        this.searchIndex = null;
+        this.searchResults = [];
+        this.activeResultIndex = -1;
+        this.searchReturnFocus = null;
+        this.sitePageDocuments = window.siteSearchIndexer?.loadCachedDocuments() || [];
+        this.sitePagesRefreshed = false;
         this.readingProgress = {};
+        this.lastPosition = null;
+        this.lastActivity = Date.now();
+        this.progressSaveTimeout = null;
+        this.requiredDwell = new Map(); // Section id → ms needed to count as read
+        this.progressIndicatorKey = null; // What the progress bar and navigation last showed
+        this.activeQuizzes = {};
+        this.scrollSpyObserver = null;
+        this.tocEntries = [];
+        this.tocHeadings = new Map(); // Observed heading element → table of contents entry id
+        this.printState = null;
+        this.simulators = [];
+        this.annotationAnchors = [];
+        this.editingNoteId = null;
+        this.upgrades = [];
+        this.balanceVersion = null;
+        this.lastCalculation = null;
 
         this.init();
     }
@@ -22,6 +43,9 @@ class GuideController {
         this.setupProgressTracking();
         this.setupInteractiveElements();
         this.loadReadingProgress();
+        this.applyFocusMode();
+        this.showResumePrompt();
+        this.setupStorageEvents();
 
         console.log('Guide controller initialized');
     }
@@ -34,45 +58,128 @@ class GuideController {
             navLink: document.querySelector(`[href="#${section.id}"]`)
         }));
 
+        this.assignPassageAnchors();
+
         // Build search index
         this.buildSearchIndex();
     }
 
-    buildSearchIndex() {
-        this.searchIndex = [];
+    assignPassageAnchors() {
+        const used = new Set(Array.from(document.querySelectorAll('[id]'), element => element.id));
+        const slugify = text => window.loveMoneyApp?.slugify(text) ||
+            text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
 
         this.sections.forEach(section => {
-            const content = section.element.textContent.toLowerCase();
-            const title = section.title.toLowerCase();
+            section.element.querySelectorAll('h3, h4, .tip-item').forEach(element => {
+                if (element.id || (element.tagName !== 'DIV' && element.closest('.tip-item'))) return;
 
-            this.searchIndex.push({
-                id: section.id,
-                title: section.title,
-                content: content,
-                keywords: this.extractKeywords(content)
+                // Section-prefixed so identical headings in different sections stay distinct
+                const label = element.classList.contains('tip-item') ?
+                    `tip-${element.querySelector('h4')?.textContent || ''}` : element.textContent;
+                const base = `${section.id}-${slugify(label) || 'passage'}`;
+
+                let id = base;
+                for (let suffix = 2; used.has(id); suffix++) {
+                    id = `${base}-${suffix}`;
+                }
+
+                element.id = id;
+                used.add(id);
             });
         });
     }
 
-    extractKeywords(text) {
-        // Extract important keywords from text
-        const keywords = [];
-        const words = text.match(/\b\w{3,}\b/g) || [];
+    buildSearchIndex() {
+        const guideDocuments = this.sections.flatMap(section => this.getSectionPassages(section));
 
-        // Game-specific terms
-        const gameTerms = [
-            'harvey', 'moral', 'upgrade', 'click', 'money', 'ending', 'strategy',
-            'touch', 'pet', 'kiss', 'embrace', 'caress', 'special', 'score',
-            'relationship', 'boundary', 'consent', 'ethics', 'choice'
-        ];
+        // Reuses the cached index when neither the guide nor the other pages changed
+        this.searchIndex = window.SearchIndex.fromDocuments(
+            [...guideDocuments, ...this.sitePageDocuments],
+            'search-index'
+        );
+
+        // Notes change often, so they stay out of the cached index
+        window.guideAnnotations?.toSearchDocuments().forEach(doc => this.searchIndex.addDocument(doc));
+    }
+
+    refreshSitePages() {
+        if (this.sitePagesRefreshed || !window.siteSearchIndexer) return;
+        this.sitePagesRefreshed = true;
+
+        window.siteSearchIndexer.refresh().then(documents => {
+            this.sitePageDocuments = documents;
+            this.buildSearchIndex();
+
+            // Pick up results from the other pages for a query typed meanwhile
+            const searchInput = document.getElementById('guideSearch');
+            const searchResults = document.getElementById('searchResults');
+            if (searchInput && searchResults && searchInput.value.trim()) {
+                this.performSearch(searchInput.value, searchResults);
+            }
+        }).catch(error => {
+            console.log('Could not refresh site search pages:', error);
+        });
+    }
 
-        words.forEach(word => {
-            if (gameTerms.includes(word.toLowerCase()) || word.length > 5) {
-                keywords.push(word.toLowerCase());
+    /**
+     * Splits a section into passages: its intro, each h3/h4 block and each tip
+     * item, so results can point at the exact part of the guide that matched.
+     */
+    getSectionPassages(section) {
+        // Skip generated UI so search only matches guide content
+        const excluded = '.upgrade-calculator, .ending-simulator, .section-quiz, .annotation-controls, .copy-btn, script, style';
+        const sectionTitle = section.title.replace(/\s+/g, ' ');
+        const passages = [];
+        const intro = { id: section.id, title: sectionTitle, parts: [], tip: null };
+        let current = intro;
+        let lastHeading = intro;
+
+        passages.push(intro);
+
+        const walker = document.createTreeWalker(section.element, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+            acceptNode: node => {
+                const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+                return element?.closest(excluded) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT;
             }
         });
 
-        return [...new Set(keywords)]; // Remove duplicates
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+
+            if (node.nodeType === Node.ELEMENT_NODE) {
+                const isTip = node.classList.contains('tip-item');
+                const isHeading = (node.tagName === 'H3' || node.tagName === 'H4') && !node.closest('.tip-item');
+
+                if ((isTip || isHeading) && node.id) {
+                    const title = (isTip ? node.querySelector('h4') : node)?.textContent.replace(/\s+/g, ' ').trim();
+                    current = { id: node.id, title: title || sectionTitle, parts: [], tip: isTip ? node : null };
+                    passages.push(current);
+                    if (isHeading) lastHeading = current;
+                }
+                continue;
+            }
+
+            // Text after a tip item belongs to the heading above it again
+            if (current.tip && !current.tip.contains(node)) {
+                current = lastHeading;
+            }
+
+            // Headings are indexed as passage titles, not body text
+            if (!node.parentElement.closest('h2, h3, h4')) {
+                current.parts.push(node.nodeValue);
+            }
+        }
+
+        return passages
+            .map(passage => ({
+                id: passage.id,
+                title: passage.title,
+                text: passage.parts.join(' ').replace(/\s+/g, ' ').trim(),
+                page: 'Guide',
+                section: sectionTitle,
+                sectionId: section.id
+            }))
+            .filter(passage => passage.text || passage.id !== section.id);
     }
 
     setupNavigation() {
@@ -122,7 +229,8 @@ class GuideController {
                     }
                     break;
                 case '/':
-                    if (!e.ctrlKey && !e.metaKey) {
+                    // Ctrl+/ and Cmd+/ belong to the browser and screen readers
+                    if (!e.ctrlKey && !e.metaKey && !e.target.closest?.('input, textarea, select, [contenteditable="true"]')) {
                         e.preventDefault();
                         this.openSearch();
                     }
@@ -141,16 +249,20 @@ class GuideController {
             threshold: 0
         };
 
-        const observer = new IntersectionObserver((entries) => {
+        this.scrollSpyObserver = new IntersectionObserver((entries) => {
             entries.forEach(entry => {
-                if (entry.isIntersecting) {
+                if (!entry.isIntersecting) return;
+
+                if (this.tocHeadings.has(entry.target)) {
+                    this.setActiveTocEntry(this.tocHeadings.get(entry.target));
+                } else {
                     this.setActiveSection(entry.target.id);
                 }
             });
         }, observerOptions);
 
         this.sections.forEach(section => {
-            observer.observe(section.element);
+            this.scrollSpyObserver.observe(section.element);
         });
     }
 
@@ -163,20 +275,20 @@ class GuideController {
         searchContainer.className = 'guide-search-container';
         searchContainer.innerHTML = `
             <div class="search-overlay" id="searchOverlay">
-                <div class="search-modal">
+                <div class="search-modal" role="dialog" aria-modal="true" aria-labelledby="searchTitle">
                     <div class="search-header">
-                        <h3>🔍 Search Guide</h3>
-                        <button onclick="window.guideController.closeSearch()" class="search-close">×</button>
+                        <h3 id="searchTitle">🔍 Search LoveMoney.help</h3>
+                        <button onclick="window.guideController.closeSearch()" class="search-close" aria-label="Close search">×</button>
                     </div>
                     <div class="search-input-container">
-                        <input type="text" id="guideSearch" placeholder="Search for strategies, upgrades, endings..." autocomplete="off">
-                        <div class="search-help">
-                            <span>💡 Try: "moral ending", "upgrade strategy", "Harvey reactions"</span>
-                        </div>
+                        <input type="text" id="guideSearch" placeholder="Search the guide, about, privacy and terms..." autocomplete="off"
+                               role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="searchResultList">
+                        <div class="search-help" id="searchSuggestions"></div>
                     </div>
                     <div class="search-results" id="searchResults"></div>
+                    <div class="sr-only" id="searchStatus" role="status" aria-live="polite"></div>
                     <div class="search-shortcuts">
-                        <span>Press <kbd>/</kbd> to search • <kbd>Esc</kbd> to close</span>
+                        <span>Press <kbd>/</kbd> to search • <kbd>↑</kbd> <kbd>↓</kbd> to choose • <kbd>Enter</kbd> to open • <kbd>Esc</kbd> to close</span>
                     </div>
                 </div>
             </div>
@@ -190,39 +302,114 @@ class GuideController {
 
         let searchTimeout;
         searchInput.addEventListener('input', (e) => {
+            this.renderSearchSuggestions(e.target.value);
+
             clearTimeout(searchTimeout);
             searchTimeout = setTimeout(() => {
                 this.performSearch(e.target.value, searchResults);
             }, 300);
         });
 
+        // Suggestion, recent search and "did you mean" buttons
+        searchContainer.addEventListener('click', (e) => {
+            const suggestion = e.target.closest('[data-suggestion]');
+            if (suggestion) {
+                this.applySearchSuggestion(suggestion.dataset.suggestion);
+            } else if (e.target.closest('[data-clear-history]')) {
+                window.searchHistory?.clear();
+                this.renderSearchSuggestions('');
+                searchInput.focus();
+                this.trackInteraction('search', 'history_cleared');
+            }
+        });
+
         // Search keyboard navigation
         searchInput.addEventListener('keydown', (e) => {
-            if (e.key === 'ArrowDown') {
+            switch (e.key) {
+                case 'ArrowDown':
+                    e.preventDefault();
+                    if (this.activeResultIndex < 0) {
+                        this.focusFirstResult();
+                    } else {
+                        this.moveActiveResult(1);
+                    }
+                    break;
+                case 'ArrowUp':
+                    e.preventDefault();
+                    this.moveActiveResult(-1);
+                    break;
+                case 'Enter':
+                    e.preventDefault();
+                    this.selectFirstResult();
+                    break;
+            }
+        });
+
+        searchResults.addEventListener('mousemove', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) this.setActiveResult(parseInt(option.dataset.resultIndex));
+        });
+
+        // Keep Tab inside the modal while it is open
+        const modal = searchContainer.querySelector('.search-modal');
+        modal.addEventListener('keydown', (e) => {
+            if (e.key !== 'Tab') return;
+
+            const focusable = Array.from(modal.querySelectorAll('button, input, [href], [tabindex]:not([tabindex="-1"])'))
+                .filter(element => !element.disabled && element.offsetParent !== null);
+            if (focusable.length === 0) return;
+
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+
+            if (e.shiftKey && document.activeElement === first) {
                 e.preventDefault();
-                this.focusFirstResult();
-            } else if (e.key === 'Enter') {
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
                 e.preventDefault();
-                this.selectFirstResult();
+                first.focus();
             }
         });
     }
 
     setupProgressTracking() {
-        // Track which sections have been read
-        const progressObserver = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting && entry.intersectionRatio > 0.5) {
-                    this.markSectionAsRead(entry.target.id);
-                }
+        this.progressSettings = {
+            readingLine: 0.3,        // Fraction of the viewport height where reading happens
+            requiredDepth: 0.9,      // Share of a section that must have been on screen
+            wordsPerMinute: 250,
+            dwellShare: 0.3,         // Share of the estimated reading time that must be spent
+            minDwell: 5000,
+            maxDwell: 90000,
+            idleAfter: 120000        // Stop counting time when the reader walks away
+        };
+
+        // Scroll depth and resume position
+        let scrollFrame = null;
+        window.addEventListener('scroll', () => {
+            this.lastActivity = Date.now();
+            if (scrollFrame) return;
+
+            scrollFrame = requestAnimationFrame(() => {
+                scrollFrame = null;
+                this.updateScrollProgress();
             });
-        }, {
-            threshold: 0.5
+        }, { passive: true });
+
+        ['keydown', 'pointerdown', 'pointermove', 'touchstart'].forEach(type => {
+            document.addEventListener(type, () => {
+                this.lastActivity = Date.now();
+            }, { passive: true });
         });
 
-        this.sections.forEach(section => {
-            progressObserver.observe(section.element);
+        // Dwell time, counted once a second while the page is visible and in use
+        setInterval(() => this.recordDwellTime(1000), 1000);
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.saveReadingProgress();
+            }
         });
+        window.addEventListener('pagehide', () => this.saveReadingProgress());
 
         this.createProgressIndicator();
     }
@@ -236,6 +423,9 @@ class GuideController {
             </div>
             <div class="progress-text">
                 <span id="progressText">0% Complete</span>
+                <button type="button" class="progress-transfer-btn" onclick="window.guideController.openProgressTransfer()">
+                    ⇄ Move to another device
+                </button>
             </div>
         `;
 
@@ -252,11 +442,26 @@ class GuideController {
         // Copy-to-clipboard functionality
         this.setupCopyFunctionality();
 
+        // Bookmarks and notes on sections and tips
+        this.setupAnnotations();
+
         // Table of contents generator
         this.generateTableOfContents();
 
         // Interactive upgrade calculator
         this.setupUpgradeCalculator();
+
+        // Step-by-step ending simulator
+        this.setupEndingSimulator();
+
+        // Comprehension quizzes at the end of each section
+        this.setupSectionQuizzes();
+
+        // Print / PDF view
+        this.setupPrintView();
+
+        // Focus mode, text size and typography
+        this.setupReaderSettings();
     }
 
     setupExpandableSections() {
@@ -281,7 +486,12 @@ class GuideController {
             copyBtn.innerHTML = '📋';
             copyBtn.title = 'Copy to clipboard';
             copyBtn.addEventListener('click', () => {
-                this.copyToClipboard(element.textContent.trim());
+                // Leave out the reader's own notes and the buttons around them
+                const text = Array.from(element.childNodes)
+                    .filter(node => !node.matches?.('.copy-btn, .annotation-controls'))
+                    .map(node => node.textContent)
+                    .join('');
+                this.copyToClipboard(text.trim());
             });
 
             element.style.position = 'relative';
@@ -292,6 +502,7 @@ class GuideController {
     setupUpgradeCalculator() {
         const calculatorContainer = document.createElement('div');
         calculatorContainer.className = 'upgrade-calculator';
+        calculatorContainer.id = 'upgradeCalculator';
         calculatorContainer.innerHTML = `
             <div class="calculator-header">
                 <h4>💰 Upgrade Calculator</h4>
@@ -299,6 +510,36 @@ class GuideController {
             </div>
             <div class="calculator-controls">
                 <div class="control-group">
+                    <label for="calculatorMode">Plan For:</label>
+                    <select id="calculatorMode">
+                        <option value="money">A money target</option>
+                        <option value="ending">A specific ending</option>
+                    </select>
+                </div>
+                <div class="control-group" data-calculator-field="ending" hidden>
+                    <label for="targetEnding">Target Ending:</label>
+                    <select id="targetEnding">
+                        ${this.getEndingBands().map(band => `
+                            <option value="${band.type}">${band.type} (${this.formatBand(band)})</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="control-group" data-calculator-field="ending" hidden>
+                    <label for="minMoral">Minimum Moral Score (optional):</label>
+                    <input type="number" id="minMoral" min="0" max="100" placeholder="Any">
+                </div>
+                <div class="control-group" data-calculator-field="ending" hidden>
+                    <label for="planObjective">Optimize For:</label>
+                    <select id="planObjective">
+                        <option value="fastest">Fewest clicks to reach target money</option>
+                        <option value="money">Most money within a click budget</option>
+                    </select>
+                </div>
+                <div class="control-group" data-calculator-field="budget" hidden>
+                    <label for="clickBudget">Click Budget:</label>
+                    <input type="number" id="clickBudget" value="2500" min="1">
+                </div>
+                <div class="control-group" data-calculator-field="target">
                     <label for="targetMoney">Target Money:</label>
                     <input type="number" id="targetMoney" value="25000" min="1" max="100000">
                 </div>
@@ -309,18 +550,38 @@ class GuideController {
                 <div class="control-group">
                     <label for="currentUpgrade">Current Upgrade Level:</label>
                     <select id="currentUpgrade">
-                        <option value="0">Basic Touch ($1/click)</option>
-                        <option value="1">Pet ($2/click)</option>
-                        <option value="2">Kiss ($5/click)</option>
-                        <option value="3">Touch ($15/click)</option>
-                        <option value="4">Embrace ($30/click)</option>
-                        <option value="5">Caress ($60/click)</option>
-                        <option value="6">Special ($100/click)</option>
+                        <option value="0">Loading upgrades...</option>
                     </select>
                 </div>
+                <div class="control-group">
+                    <label for="clickProfile">Click Speed:</label>
+                    <select id="clickProfile"></select>
+                    <button type="button" class="tap-test-btn" id="tapTestButton">⏱️ Tap Test</button>
+                </div>
+                <div class="tap-test" id="tapTest" hidden>
+                    <p class="tap-test-instructions">Tap or click the button as fast as you can for 5 seconds.</p>
+                    <button type="button" class="tap-test-target" id="tapTestTarget">Tap to start</button>
+                    <p class="tap-test-result" id="tapTestResult" aria-live="polite"></p>
+                </div>
+                <div class="control-group" id="balanceVersionGroup" hidden>
+                    <label for="balanceVersion">Game Balance:</label>
+                    <select id="balanceVersion"></select>
+                </div>
                 <button onclick="window.guideController.calculateUpgradePath()" class="calculate-btn">
                     Calculate Path
                 </button>
+                <div class="scenario-actions">
+                    <button type="button" onclick="window.guideController.copyScenarioLink()" class="scenario-btn">
+                        🔗 Copy Scenario Link
+                    </button>
+                    <button type="button" onclick="window.guideController.shareScenario()" class="scenario-btn">
+                        📤 Share Scenario
+                    </button>
+                    <button type="button" onclick="window.guideController.saveCurrentScenario()" class="scenario-btn">
+                        💾 Save Scenario
+                    </button>
+                </div>
+                <div class="saved-scenarios" id="savedScenarios"></div>
             </div>
             <div class="calculator-results" id="calculatorResults"></div>
         `;
@@ -329,12 +590,421 @@ class GuideController {
         if (strategySection) {
             strategySection.appendChild(calculatorContainer);
         }
+
+        this.setupClickRateControls();
+        this.renderSavedScenarios();
+
+        ['calculatorMode', 'planObjective'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.updateCalculatorMode());
+        });
+
+        document.getElementById('balanceVersion')?.addEventListener('change', (e) => {
+            this.setBalanceVersion(e.target.value);
+            this.trackInteraction('calculator', 'balance_version', e.target.value);
+        });
+
+        this.loadUpgradeData();
+    }
+
+    setupClickRateControls() {
+        const profileSelect = document.getElementById('clickProfile');
+        const tapButton = document.getElementById('tapTestButton');
+        if (!profileSelect || !window.clickRateModel) return;
+
+        this.renderClickProfiles();
+
+        profileSelect.addEventListener('change', (e) => {
+            window.clickRateModel.setProfile(e.target.value);
+            this.refreshCalculationResults();
+            this.trackInteraction('calculator', 'click_profile', e.target.value);
+        });
+
+        tapButton?.addEventListener('click', () => {
+            const tapTest = document.getElementById('tapTest');
+            tapTest.hidden = !tapTest.hidden;
+        });
+
+        this.setupTapTest();
+    }
+
+    renderClickProfiles() {
+        const profileSelect = document.getElementById('clickProfile');
+        const model = window.clickRateModel;
+        if (!profileSelect || !model) return;
+
+        profileSelect.innerHTML = model.getProfiles().map(profile => `
+            <option value="${profile.id}" ${profile.available ? '' : 'disabled'}>
+                ${profile.icon} ${profile.label}${profile.available ? ` (${profile.rate} clicks/s)` : ''}
+            </option>
+        `).join('');
+        profileSelect.value = model.activeProfile;
+    }
+
+    setupTapTest() {
+        const target = document.getElementById('tapTestTarget');
+        const result = document.getElementById('tapTestResult');
+        if (!target || !result) return;
+
+        const duration = 5000;
+        let taps = [];
+        let running = false;
+
+        const finish = () => {
+            running = false;
+            target.textContent = 'Tap to try again';
+
+            const rate = window.clickRateModel.measureRate(taps);
+            if (rate && window.clickRateModel.setMeasuredRate(rate)) {
+                result.textContent = `You managed ${window.clickRateModel.getRate('measured')} clicks per second.`;
+                this.renderClickProfiles();
+                this.refreshCalculationResults();
+                this.trackInteraction('calculator', 'tap_test', String(window.clickRateModel.getRate('measured')));
+            } else {
+                result.textContent = 'Not enough taps to measure. Try again.';
+            }
+        };
+
+        const tap = (e) => {
+            e.preventDefault();
+
+            if (!running) {
+                running = true;
+                taps = [];
+                result.textContent = '';
+                setTimeout(finish, duration);
+            }
+
+            taps.push(performance.now());
+            target.textContent = `${taps.length} taps`;
+        };
+
+        // pointerdown fires for mouse and touch alike without the click delay
+        target.addEventListener('pointerdown', tap);
+        target.addEventListener('keydown', (e) => {
+            if ((e.key === ' ' || e.key === 'Enter') && !e.repeat) tap(e);
+        });
+    }
+
+    updateCalculatorMode() {
+        const mode = document.getElementById('calculatorMode')?.value || 'money';
+        const objective = document.getElementById('planObjective')?.value || 'fastest';
+        const visible = {
+            ending: mode === 'ending',
+            budget: mode === 'ending' && objective === 'money',
+            target: mode === 'money' || objective === 'fastest'
+        };
+
+        document.querySelectorAll('[data-calculator-field]').forEach(field => {
+            field.hidden = !visible[field.dataset.calculatorField];
+        });
+    }
+
+    // Upgrade Data
+    loadUpgradeData() {
+        if (!window.upgradeDataStore) return Promise.resolve();
+
+        return window.upgradeDataStore.load().then(store => {
+            this.renderBalanceVersions(store.getVersions());
+            this.setBalanceVersion(store.defaultVersion);
+
+            // A shared scenario link can only run once the upgrade table exists
+            this.applyScenarioFromHash();
+            window.addEventListener('hashchange', () => this.applyScenarioFromHash());
+        }).catch(error => {
+            console.log('Could not load upgrade data:', error);
+            const select = document.getElementById('currentUpgrade');
+            if (select) {
+                select.innerHTML = '<option value="0">Upgrade data unavailable</option>';
+            }
+        });
+    }
+
+    // Shareable Scenarios
+    getScenarioFields() {
+        // URL parameter name → calculator input id; add new solver options here
+        return {
+            balance: 'balanceVersion',
+            mode: 'calculatorMode',
+            target: 'targetMoney',
+            money: 'currentMoney',
+            level: 'currentUpgrade',
+            ending: 'targetEnding',
+            minMoral: 'minMoral',
+            objective: 'planObjective',
+            budget: 'clickBudget'
+        };
+    }
+
+    serializeScenario() {
+        const params = new URLSearchParams();
+
+        Object.entries(this.getScenarioFields()).forEach(([key, id]) => {
+            const input = document.getElementById(id);
+            if (input && input.value !== '') {
+                params.set(key, input.value);
+            }
+        });
+
+        return `calc:${params.toString()}`;
+    }
+
+    parseScenario(hash) {
+        const match = /^#?calc:(.*)$/.exec(hash);
+        return match ? new URLSearchParams(match[1]) : null;
+    }
+
+    applyScenarioFromHash() {
+        const params = this.parseScenario(window.location.hash);
+        if (!params || this.upgrades.length === 0) return false;
+
+        const fields = this.getScenarioFields();
+
+        // Balance version first: it rebuilds the upgrade level options
+        if (params.has('balance')) {
+            this.setBalanceVersion(params.get('balance'));
+        }
+
+        Object.entries(fields).forEach(([key, id]) => {
+            const input = document.getElementById(id);
+            if (key === 'balance' || !input || !params.has(key)) return;
+
+            const value = params.get(key);
+            if (input.tagName === 'SELECT' && !Array.from(input.options).some(option => option.value === value)) {
+                return; // Ignore values this version of the page doesn't offer
+            }
+            input.value = value;
+        });
+
+        this.updateCalculatorMode();
+        this.calculateUpgradePath();
+
+        document.getElementById('upgradeCalculator')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        this.trackInteraction('calculator', 'scenario_opened');
+        return true;
+    }
+
+    /**
+     * Only for copying or sharing: otherwise the hash is left for section
+     * deep links and the resume prompt
+     */
+    updateScenarioHash() {
+        const hash = `#${this.serializeScenario()}`;
+        if (window.location.hash !== hash && window.history?.replaceState) {
+            window.history.replaceState(null, '', hash);
+        }
+    }
+
+    getScenarioUrl() {
+        const url = new URL(window.location.href);
+        url.hash = this.serializeScenario();
+        return url.toString();
+    }
+
+    copyScenarioLink() {
+        this.updateScenarioHash();
+        this.copyToClipboard(this.getScenarioUrl());
+        this.trackInteraction('calculator', 'scenario_copied');
+    }
+
+    shareScenario() {
+        this.updateScenarioHash();
+
+        const shareData = {
+            title: 'LoveMoney Upgrade Calculator Scenario',
+            text: 'Here is my LoveMoney upgrade plan - open the link to see the calculator results.',
+            url: this.getScenarioUrl()
+        };
+
+        if (window.loveMoneyApp) {
+            window.loveMoneyApp.shareGame(shareData);
+        } else {
+            this.copyToClipboard(shareData.url);
+        }
+        this.trackInteraction('calculator', 'scenario_shared');
+    }
+
+    // Saved Scenarios
+    loadSavedScenarios() {
+        const saved = window.siteStorage.get('saved-scenarios', []);
+        return Array.isArray(saved) ? saved : [];
+    }
+
+    storeSavedScenarios(scenarios) {
+        window.siteStorage.set('saved-scenarios', scenarios);
+    }
+
+    saveCurrentScenario() {
+        const params = this.serializeScenario();
+        const scenarios = this.loadSavedScenarios().filter(scenario => scenario.params !== params);
+
+        scenarios.unshift({
+            name: this.describeScenario(this.parseScenario(params)),
+            params,
+            savedAt: Date.now()
+        });
+
+        this.storeSavedScenarios(scenarios.slice(0, 20));
+        this.renderSavedScenarios();
+        this.showNotification('💾 Scenario saved');
+        this.trackInteraction('calculator', 'scenario_saved');
+    }
+
+    describeScenario(params) {
+        const level = parseInt(params.get('level')) || 0;
+        const money = parseInt(params.get('money')) || 0;
+        // Imported or hand-edited links can leave these out
+        const target = parseInt(params.get('target'));
+        const budget = parseInt(params.get('budget'));
+        const targetLabel = Number.isNaN(target) ? 'target not set' : `$${target.toLocaleString()}`;
+        const budgetLabel = Number.isNaN(budget) ? 'click budget not set' : `${budget.toLocaleString()} clicks`;
+        const goal = params.get('mode') === 'ending' ?
+            `${params.get('ending') || 'Any'} ending, ` + (params.get('objective') === 'money' ? budgetLabel : targetLabel) :
+            targetLabel.charAt(0).toUpperCase() + targetLabel.slice(1);
+
+        const start = [
+            level > 0 ? (this.upgrades[level]?.name || `level ${level}`) : null,
+            money > 0 ? `$${money.toLocaleString()}` : null
+        ].filter(Boolean);
+
+        return start.length > 0 ? `${goal} from ${start.join(' + ')}` : goal;
+    }
+
+    renderSavedScenarios() {
+        const container = document.getElementById('savedScenarios');
+        if (!container) return;
+
+        const scenarios = this.loadSavedScenarios();
+        if (scenarios.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const escape = text => this.searchIndex.escapeHtml(text);
+        container.innerHTML = `
+            <h5>Saved Scenarios</h5>
+            <ul>
+                ${scenarios.map((scenario, index) => `
+                    <li>
+                        <button type="button" class="saved-scenario-open" onclick="window.guideController.openSavedScenario(${index})">
+                            ${escape(scenario.name)}
+                        </button>
+                        <button type="button" class="saved-scenario-delete" onclick="window.guideController.deleteSavedScenario(${index})"
+                                aria-label="Delete ${escape(scenario.name)}">×</button>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    openSavedScenario(index) {
+        const scenario = this.loadSavedScenarios()[index];
+        if (!scenario) return;
+
+        // Same path as opening a shared link
+        window.history.replaceState(null, '', `#${scenario.params}`);
+        this.applyScenarioFromHash();
+    }
+
+    deleteSavedScenario(index) {
+        const scenarios = this.loadSavedScenarios();
+        scenarios.splice(index, 1);
+        this.storeSavedScenarios(scenarios);
+        this.renderSavedScenarios();
+    }
+
+    setBalanceVersion(version) {
+        const store = window.upgradeDataStore;
+        if (!store || !store.hasVersion(version)) return;
+
+        this.balanceVersion = version;
+        this.upgrades = store.getUpgrades(version);
+
+        const versionSelect = document.getElementById('balanceVersion');
+        if (versionSelect) {
+            versionSelect.value = version;
+        }
+
+        this.renderUpgradeOptions();
+        this.renderUpgradeTable();
+
+        this.simulators.forEach(simulator => simulator.setUpgrades(this.upgrades));
+        this.renderEndingSimulator();
+
+        // Table content changed, so the search index is stale
+        this.buildSearchIndex();
+    }
+
+    renderBalanceVersions(versions) {
+        const group = document.getElementById('balanceVersionGroup');
+        const select = document.getElementById('balanceVersion');
+        if (!group || !select) return;
+
+        const escape = text => this.escapeHtml(text);
+        select.innerHTML = versions.map(entry => `
+            <option value="${escape(entry.version)}">${escape(entry.label)}${entry.isDefault ? ' (current)' : ''}</option>
+        `).join('');
+
+        group.hidden = versions.length < 2;
+    }
+
+    renderUpgradeOptions() {
+        const select = document.getElementById('currentUpgrade');
+        if (!select) return;
+
+        const selected = Math.min(parseInt(select.value) || 0, this.upgrades.length - 1);
+
+        select.innerHTML = this.upgrades.map(upgrade => `
+            <option value="${upgrade.level}">${this.escapeHtml(upgrade.name)} ($${upgrade.earnings}/click)</option>
+        `).join('');
+        select.value = String(selected);
+    }
+
+    renderUpgradeTable() {
+        const tableBody = document.querySelector('[data-upgrade-table]');
+        if (!tableBody) return;
+
+        const escape = text => this.escapeHtml(text);
+        tableBody.innerHTML = this.upgrades.map(upgrade => {
+            const severity = escape(upgrade.severity);
+            const rowClass = upgrade.severity === 'neutral' ? 'neutral' : `${severity}-moral`;
+
+            return `
+                <tr class="upgrade-row ${rowClass}">
+                    <td>${upgrade.level}</td>
+                    <td>${escape(upgrade.name)}</td>
+                    <td class="cost">${this.formatCost(upgrade.cost)}</td>
+                    <td class="earnings">$${upgrade.earnings.toLocaleString()}/click</td>
+                    <td class="moral-impact ${severity}">${upgrade.moral === 0 ? 'No change' : `${upgrade.moral} moral`}</td>
+                    <td>${escape(upgrade.description || '')}</td>
+                </tr>
+            `;
+        }).join('');
+
+        // The table is part of its section's text, so its reading time changes
+        this.requiredDwell.clear();
+
+        const subtitle = document.querySelector('#upgrades .section-subtitle');
+        if (subtitle) {
+            subtitle.textContent = `Complete breakdown of all ${this.upgrades.length} upgrade levels`;
+        }
+    }
+
+    /**
+     * The search index's escaping, usable before the index is built
+     */
+    escapeHtml(text) {
+        return window.SearchIndex.prototype.escapeHtml(String(text));
+    }
+
+    formatCost(cost) {
+        return cost === 0 ? 'Free' : `$${cost.toLocaleString()}`;
     }
 
     // Navigation Methods
     scrollToSection(sectionId) {
         const section = document.getElementById(sectionId);
         if (section) {
+            this.revealInFocusMode(section);
             const offset = 120; // Account for sticky navigation
             const elementPosition = section.offsetTop - offset;
 
@@ -345,6 +1015,16 @@ class GuideController {
         }
     }
 
+    scrollToElement(element) {
+        const offset = 120; // Account for sticky navigation
+        const elementPosition = element.getBoundingClientRect().top + window.scrollY - offset;
+
+        window.scrollTo({
+            top: elementPosition,
+            behavior: 'smooth'
+        });
+    }
+
     setActiveSection(sectionId) {
         if (this.currentSection === sectionId) return;
 
@@ -360,6 +1040,7 @@ class GuideController {
         }
 
         this.currentSection = sectionId;
+        this.setActiveTocEntry(sectionId);
         this.trackSectionView(sectionId);
     }
 
@@ -383,397 +1064,2213 @@ class GuideController {
         const searchInput = document.getElementById('guideSearch');
 
         if (searchOverlay && searchInput) {
+            if (searchOverlay.style.display !== 'flex') {
+                this.searchReturnFocus = document.activeElement;
+            }
+
             searchOverlay.style.display = 'flex';
+            this.renderSearchSuggestions(searchInput.value);
             setTimeout(() => {
                 searchInput.focus();
             }, 100);
 
+            this.refreshSitePages();
             this.trackInteraction('search', 'opened');
         }
     }
 
-    closeSearch() {
+    closeSearch({ restoreFocus = true } = {}) {
         const searchOverlay = document.getElementById('searchOverlay');
-        if (searchOverlay) {
-            searchOverlay.style.display = 'none';
+        if (!searchOverlay || searchOverlay.style.display !== 'flex') return;
+
+        searchOverlay.style.display = 'none';
+
+        const returnFocus = this.searchReturnFocus;
+        this.searchReturnFocus = null;
+
+        if (restoreFocus && returnFocus && returnFocus !== document.body && document.contains(returnFocus)) {
+            returnFocus.focus({ preventScroll: true });
         }
     }
 
     performSearch(query, resultsContainer) {
         if (!query.trim()) {
             resultsContainer.innerHTML = '';
+            this.searchResults = [];
+            this.setActiveResult(-1);
+            this.announceSearchStatus('');
             return;
         }
 
-        const results = this.searchContent(query.toLowerCase());
+        const results = this.searchContent(query);
         this.displaySearchResults(results, resultsContainer, query);
         this.trackInteraction('search', 'query', query);
     }
 
     searchContent(query) {
-        const results = [];
-        const queryWords = query.split(' ').filter(word => word.length > 2);
-
-        this.searchIndex.forEach(item => {
-            let score = 0;
-
-            // Title matches get higher score
-            if (item.title.toLowerCase().includes(query)) {
-                score += 10;
-            }
-
-            // Keyword matches
-            queryWords.forEach(word => {
-                if (item.keywords.includes(word)) {
-                    score += 5;
-                }
-                if (item.title.toLowerCase().includes(word)) {
-                    score += 3;
-                }
-                if (item.content.includes(word)) {
-                    score += 1;
-                }
-            });
-
-            if (score > 0) {
-                results.push({ ...item, score });
-            }
-        });
-
-        return results.sort((a, b) => b.score - a.score).slice(0, 8);
+        return this.searchIndex ? this.searchIndex.search(query, { limit: 8 }) : [];
     }
 
     displaySearchResults(results, container, query) {
+        this.searchResults = results;
+        this.activeResultIndex = -1;
+
         if (results.length === 0) {
+            const correction = this.getSearchCorrection(query);
+
             container.innerHTML = `
                 <div class="search-no-results">
-                    <p>No results found for "${query}"</p>
-                    <p>Try searching for:</p>
-                    <ul>
-                        <li>"moral choices" or "endings"</li>
-                        <li>"upgrade strategy" or "harvey"</li>
-                        <li>"clicking tips" or "time management"</li>
-                    </ul>
+                    <p>No results found for "${this.searchIndex.escapeHtml(query)}"</p>
+                    ${correction ? `
+                        <p>Did you mean ${this.renderSuggestionButton(correction)}?</p>
+                    ` : `
+                        <p>Try one of these sections:</p>
+                        <div class="search-suggestion-list">
+                            ${this.getStarterQueries().map(text => this.renderSuggestionButton(text)).join('')}
+                        </div>
+                    `}
                 </div>
             `;
+            this.setActiveResult(-1);
+            this.announceSearchStatus(`No results for ${query.trim()}`);
             return;
         }
 
-        const resultsHTML = results.map(result => `
-            <div class="search-result-item" onclick="window.guideController.goToSection('${result.id}')">
-                <h4 class="result-title">${result.title}</h4>
-                <p class="result-preview">${this.generatePreview(result.content, query)}</p>
-                <span class="result-section">Section: ${result.id}</span>
+        // Titles can come from the reader's own notes, so only the snippet is trusted markup
+        const escape = text => this.searchIndex.escapeHtml(text);
+        const resultsHTML = results.map((result, index) => `
+            <div class="search-result-item" role="option" id="search-result-${index}" aria-selected="false"
+                 data-result-index="${index}" onclick="window.guideController.openSearchResult(${index})">
+                <h4 class="result-title">${escape(result.title)}</h4>
+                <p class="result-preview">${result.snippet}</p>
+                <span class="result-section">${[...new Set([result.page, result.section, result.title].filter(Boolean))].map(escape).join(' › ')}</span>
             </div>
         `).join('');
 
         container.innerHTML = `
-            <div class="search-results-header">
+            <div class="search-results-header" aria-hidden="true">
                 <span>Found ${results.length} result${results.length !== 1 ? 's' : ''}</span>
             </div>
-            ${resultsHTML}
+            <div role="listbox" id="searchResultList" aria-label="Search results">
+                ${resultsHTML}
+            </div>
         `;
-    }
 
-    generatePreview(content, query) {
-        const maxLength = 120;
-        const queryIndex = content.toLowerCase().indexOf(query.toLowerCase());
+        this.setActiveResult(-1);
+        this.announceSearchStatus(`${results.length} result${results.length !== 1 ? 's' : ''} available. Use up and down arrows to choose.`);
+    }
 
-        if (queryIndex === -1) {
-            return content.substring(0, maxLength) + '...';
+    // Search Suggestions
+    renderSearchSuggestions(query) {
+        const container = document.getElementById('searchSuggestions');
+        if (!container) return;
+
+        if (query.trim()) {
+            const suggestions = this.searchIndex.suggest(query, { limit: 6 });
+            container.innerHTML = suggestions.length > 0 ? `
+                <span class="search-help-label">Suggestions:</span>
+                ${suggestions.map(suggestion => this.renderSuggestionButton(suggestion.text)).join('')}
+            ` : '';
+            return;
         }
 
-        const start = Math.max(0, queryIndex - 60);
-        const end = Math.min(content.length, start + maxLength);
-
-        let preview = content.substring(start, end);
-        if (start > 0) preview = '...' + preview;
-        if (end < content.length) preview = preview + '...';
+        const recent = window.searchHistory ? window.searchHistory.getEntries() : [];
+        if (recent.length > 0) {
+            container.innerHTML = `
+                <span class="search-help-label">🕘 Recent:</span>
+                ${recent.map(text => this.renderSuggestionButton(text)).join('')}
+                <button type="button" class="search-history-clear" data-clear-history>Clear history</button>
+            `;
+        } else {
+            container.innerHTML = `
+                <span class="search-help-label">💡 Try:</span>
+                ${this.getStarterQueries().map(text => this.renderSuggestionButton(text)).join('')}
+            `;
+        }
+    }
 
-        // Highlight query terms
-        const regex = new RegExp(`(${query})`, 'gi');
-        preview = preview.replace(regex, '<mark>$1</mark>');
+    renderSuggestionButton(text) {
+        const escaped = this.searchIndex.escapeHtml(text);
+        return `<button type="button" class="search-suggestion" data-suggestion="${escaped}">${escaped}</button>`;
+    }
 
-        return preview;
+    getStarterQueries() {
+        return this.sections
+            .map(section => section.title.replace(/^[^\p{L}\p{N}]+/u, '').replace(/\s+/g, ' ').trim())
+            .filter(Boolean)
+            .slice(0, 3);
     }
 
-    goToSection(sectionId) {
-        this.closeSearch();
-        this.scrollToSection(sectionId);
+    /**
+     * A rewritten query for "did you mean", only offered when it finds something
+     */
+    getSearchCorrection(query) {
+        const correction = this.searchIndex.didYouMean(query);
+        return correction && this.searchContent(correction).length > 0 ? correction : null;
     }
 
-    // Progress Tracking
-    markSectionAsRead(sectionId) {
-        if (!this.readingProgress[sectionId]) {
-            this.readingProgress[sectionId] = {
-                read: true,
-                timestamp: Date.now()
-            };
+    applySearchSuggestion(text) {
+        const searchInput = document.getElementById('guideSearch');
+        const searchResults = document.getElementById('searchResults');
+        if (!searchInput || !searchResults) return;
 
-            this.saveReadingProgress();
-            this.updateProgressIndicator();
-            this.trackProgress(sectionId);
+        searchInput.value = text;
+        searchInput.focus();
+        this.renderSearchSuggestions(text);
+        this.performSearch(text, searchResults);
+        this.trackInteraction('search', 'suggestion_used', text);
+    }
+
+    announceSearchStatus(message) {
+        const status = document.getElementById('searchStatus');
+        if (status) {
+            status.textContent = message;
         }
     }
 
-    updateProgressIndicator() {
+    /**
+     * Marks one result as active. Focus stays in the search box and the
+     * active option is exposed through aria-activedescendant, so typing
+     * can continue while moving through the list.
+     */
+    setActiveResult(index) {
+        const searchInput = document.getElementById('guideSearch');
+        const options = document.querySelectorAll('#searchResultList [role="option"]');
+
+        this.activeResultIndex = index >= 0 && index < options.length ? index : -1;
+
+        options.forEach((option, optionIndex) => {
+            const active = optionIndex === this.activeResultIndex;
+            option.classList.toggle('active', active);
+            option.setAttribute('aria-selected', String(active));
+            if (active) option.scrollIntoView({ block: 'nearest' });
+        });
+
+        if (searchInput) {
+            searchInput.setAttribute('aria-expanded', String(options.length > 0));
+            if (this.activeResultIndex >= 0) {
+                searchInput.setAttribute('aria-activedescendant', options[this.activeResultIndex].id);
+            } else {
+                searchInput.removeAttribute('aria-activedescendant');
+            }
+        }
+    }
+
+    moveActiveResult(delta) {
+        const count = this.searchResults.length;
+        if (count === 0) return;
+
+        // Wraps around; moving up from the first result returns to the search box
+        const next = this.activeResultIndex + delta;
+        if (next < 0) {
+            this.setActiveResult(this.activeResultIndex === 0 ? -1 : count - 1);
+        } else {
+            this.setActiveResult(next % count);
+        }
+    }
+
+    focusFirstResult() {
+        this.setActiveResult(0);
+    }
+
+    selectFirstResult() {
+        this.openSearchResult(this.activeResultIndex >= 0 ? this.activeResultIndex : 0);
+    }
+
+    openSearchResult(index) {
+        const result = this.searchResults[index];
+        if (!result) return;
+
+        this.trackInteraction('search', 'result_opened', result.url || result.id);
+
+        const searchInput = document.getElementById('guideSearch');
+        if (searchInput && window.searchHistory) {
+            window.searchHistory.record(searchInput.value);
+        }
+
+        if (result.url) {
+            // Results from the other pages deep-link to their heading
+            window.location.href = result.url;
+        } else {
+            this.goToSection(result.id);
+        }
+    }
+
+    goToSection(targetId) {
+        this.closeSearch({ restoreFocus: false });
+
+        const target = document.getElementById(targetId);
+        if (!target) return;
+
+        this.revealInFocusMode(target);
+
+        // Move focus with the reader so the next Tab continues from the result
+        if (!target.hasAttribute('tabindex')) {
+            target.setAttribute('tabindex', '-1');
+        }
+        target.focus({ preventScroll: true });
+
+        if (target.classList.contains('guide-section')) {
+            this.scrollToSection(targetId);
+        } else {
+            this.scrollToElement(target);
+        }
+
+        // Briefly flag the passage the result pointed at
+        target.classList.remove('search-highlight');
+        void target.offsetWidth; // Restart the animation if it is already running
+        target.classList.add('search-highlight');
+        setTimeout(() => target.classList.remove('search-highlight'), 2500);
+    }
+
+    // Progress Tracking
+    getSectionProgress(sectionId) {
+        if (!this.readingProgress[sectionId]) {
+            this.readingProgress[sectionId] = { read: false, depth: 0, dwell: 0, timestamp: Date.now() };
+        }
+        return this.readingProgress[sectionId];
+    }
+
+    /**
+     * Section under the reading line, with how far through it the line sits (0-1)
+     */
+    getReadingPosition() {
+        const readingLine = window.innerHeight * this.progressSettings.readingLine;
+
+        for (const section of this.sections) {
+            const rect = section.element.getBoundingClientRect();
+            if (rect.top <= readingLine && rect.bottom > readingLine) {
+                return {
+                    section,
+                    offset: Math.min(1, Math.max(0, (readingLine - rect.top) / (rect.height || 1)))
+                };
+            }
+        }
+
+        return null;
+    }
+
+    updateScrollProgress() {
+        const viewportBottom = window.innerHeight;
+        let changed = false;
+
+        this.sections.forEach(section => {
+            const rect = section.element.getBoundingClientRect();
+            if (rect.top >= viewportBottom || rect.bottom <= 0) return;
+
+            // How much of the section has come into view, top down
+            const depth = Math.min(1, Math.max(0, (viewportBottom - rect.top) / (rect.height || 1)));
+            const progress = this.getSectionProgress(section.id);
+
+            if (depth > progress.depth + 0.01) {
+                progress.depth = Math.round(depth * 100) / 100;
+                progress.timestamp = Date.now();
+                changed = true;
+                this.evaluateSectionProgress(section);
+            }
+        });
+
+        const position = this.getReadingPosition();
+        if (position) {
+            this.lastPosition = {
+                sectionId: position.section.id,
+                offset: Math.round(position.offset * 1000) / 1000,
+                timestamp: Date.now()
+            };
+            changed = true;
+        }
+
+        if (changed) {
+            this.scheduleProgressSave();
+        }
+    }
+
+    recordDwellTime(elapsed) {
+        if (document.visibilityState !== 'visible') return;
+        if (Date.now() - this.lastActivity > this.progressSettings.idleAfter) return;
+
+        const position = this.getReadingPosition();
+        if (!position) return;
+
+        const progress = this.getSectionProgress(position.section.id);
+        progress.dwell += elapsed;
+        progress.timestamp = Date.now();
+
+        this.evaluateSectionProgress(position.section);
+        this.scheduleProgressSave();
+    }
+
+    /**
+     * Time a section needs before it counts as read, scaled to its length
+     */
+    getRequiredDwell(section) {
+        if (this.requiredDwell.has(section.id)) return this.requiredDwell.get(section.id);
+
+        // Cached until the upgrade table re-renders, the only content that changes after load
+        const { wordsPerMinute, dwellShare, minDwell, maxDwell } = this.progressSettings;
+        const wordCount = (section.element.textContent.match(/\S+/g) || []).length;
+        const readingTime = (wordCount / wordsPerMinute) * 60000;
+        const required = Math.min(maxDwell, Math.max(minDwell, Math.round(readingTime * dwellShare)));
+
+        this.requiredDwell.set(section.id, required);
+        return required;
+    }
+
+    /**
+     * Completion for one section. Scroll depth and dwell time both count,
+     * so whichever is further behind limits it.
+     */
+    getSectionCompletion(section) {
+        const progress = this.readingProgress[section.id];
+        if (!progress) return 0;
+        if (progress.read) return 1;
+
+        const depth = Math.min(1, progress.depth / this.progressSettings.requiredDepth);
+        const dwell = Math.min(1, progress.dwell / this.getRequiredDwell(section));
+        return Math.min(depth, dwell);
+    }
+
+    evaluateSectionProgress(section) {
+        const progress = this.getSectionProgress(section.id);
+
+        if (!progress.read &&
+            progress.depth >= this.progressSettings.requiredDepth &&
+            progress.dwell >= this.getRequiredDwell(section)) {
+            this.markSectionAsRead(section.id);
+        } else {
+            this.updateProgressIndicator();
+        }
+    }
+
+    markSectionAsRead(sectionId) {
+        const progress = this.getSectionProgress(sectionId);
+        if (progress.read) return;
+
+        progress.read = true;
+        progress.readAt = Date.now();
+        progress.timestamp = progress.readAt;
+
+        this.saveReadingProgress();
+        this.updateProgressIndicator();
+        this.trackProgress(sectionId);
+    }
+
+    updateProgressIndicator() {
         const totalSections = this.sections.length;
-        const readSections = Object.keys(this.readingProgress).length;
-        const percentage = Math.round((readSections / totalSections) * 100);
+        const readSections = this.sections.filter(section => this.readingProgress[section.id]?.read).length;
+        const masteredSections = this.sections.filter(section => this.readingProgress[section.id]?.mastered).length;
+        const completions = this.sections.map(section => this.getSectionCompletion(section));
+        const completion = completions.reduce((sum, value) => sum + value, 0);
+        const percentage = totalSections ? Math.round((completion / totalSections) * 100) : 0;
+
+        // Dwell time ticks every second; only repaint when something shown would change
+        const key = [percentage, ...this.sections.map((section, index) => {
+            const progress = this.readingProgress[section.id];
+            return [Math.round(completions[index] * 100), progress?.read, progress?.mastered, Math.round((progress?.depth || 0) * 100)].join(':');
+        })].join('|');
+        if (key === this.progressIndicatorKey) return;
+        this.progressIndicatorKey = key;
 
         const progressFill = document.getElementById('progressFill');
         const progressText = document.getElementById('progressText');
 
         if (progressFill && progressText) {
             progressFill.style.width = `${percentage}%`;
-            progressText.textContent = `${percentage}% Complete (${readSections}/${totalSections} sections)`;
+            progressText.textContent = `${percentage}% Complete (${readSections}/${totalSections} sections` +
+                (masteredSections ? `, ${masteredSections} mastered)` : ')');
         }
 
         // Update navigation with read indicators
-        this.updateNavigationProgress();
+        this.updateNavigationProgress(completions);
     }
 
-    updateNavigationProgress() {
-        this.sections.forEach(section => {
+    /**
+     * completions: each section's completion, in this.sections order
+     */
+    updateNavigationProgress(completions) {
+        this.sections.forEach((section, index) => {
             const navLink = section.navLink;
-            if (navLink && this.readingProgress[section.id]) {
-                navLink.classList.add('section-read');
-            }
+            if (!navLink) return;
+
+            const completion = Math.round(completions[index] * 100);
+            const mastered = Boolean(this.readingProgress[section.id]?.mastered);
+            navLink.classList.toggle('section-read', completion === 100);
+            navLink.classList.toggle('section-mastered', mastered);
+            navLink.style.setProperty('--section-progress', `${completion}%`);
+            navLink.title = mastered ? 'Mastered' : completion === 100 ? 'Read' : `${completion}% read`;
         });
+
+        this.updateTocProgress();
     }
 
     loadReadingProgress() {
-        try {
-            const saved = localStorage.getItem('lovemoney-guide-progress');
-            if (saved) {
-                this.readingProgress = JSON.parse(saved);
-                this.updateProgressIndicator();
-            }
-        } catch (e) {
-            console.log('Could not load reading progress:', e);
+        const saved = window.siteStorage.get('guide-progress');
+        if (saved && saved.sections) {
+            Object.entries(saved.sections).forEach(([sectionId, entry]) => {
+                const current = this.readingProgress[sectionId];
+
+                // Only set when IndexedDB finished loading after reading had started
+                this.readingProgress[sectionId] = current ? {
+                    ...entry,
+                    read: entry.read || current.read,
+                    mastered: entry.mastered || current.mastered,
+                    depth: Math.max(entry.depth, current.depth),
+                    dwell: entry.dwell + current.dwell
+                } : entry;
+            });
+
+            this.lastPosition = this.lastPosition || saved.lastPosition || null;
+            this.updateProgressIndicator();
         }
     }
 
+    scheduleProgressSave() {
+        if (this.progressSaveTimeout) return;
+
+        this.progressSaveTimeout = setTimeout(() => {
+            this.progressSaveTimeout = null;
+            this.saveReadingProgress();
+        }, 5000);
+    }
+
     saveReadingProgress() {
-        try {
-            localStorage.setItem('lovemoney-guide-progress', JSON.stringify(this.readingProgress));
-        } catch (e) {
-            console.log('Could not save reading progress:', e);
-        }
+        clearTimeout(this.progressSaveTimeout);
+        this.progressSaveTimeout = null;
+
+        window.siteStorage.set('guide-progress', {
+            sections: this.readingProgress,
+            lastPosition: this.lastPosition
+        });
     }
 
-    // Interactive Features
-    calculateUpgradePath() {
-        const targetMoney = parseInt(document.getElementById('targetMoney').value);
-        const currentMoney = parseInt(document.getElementById('currentMoney').value);
-        const currentUpgrade = parseInt(document.getElementById('currentUpgrade').value);
+    // Section Quizzes
+    setupSectionQuizzes() {
+        if (!window.quizEngine) return;
 
-        const upgrades = [
-            { name: 'Basic Touch', cost: 0, earnings: 1, moral: 0 },
-            { name: 'Pet', cost: 100, earnings: 2, moral: -5 },
-            { name: 'Kiss', cost: 500, earnings: 5, moral: -10 },
-            { name: 'Touch', cost: 1500, earnings: 15, moral: -20 },
-            { name: 'Embrace', cost: 3000, earnings: 30, moral: -25 },
-            { name: 'Caress', cost: 6000, earnings: 60, moral: -30 },
-            { name: 'Special', cost: 10000, earnings: 100, moral: -40 }
-        ];
+        window.quizEngine.load().then(engine => {
+            this.sections.forEach(section => {
+                if (!engine.hasQuiz(section.id)) return;
 
-        const result = this.calculateOptimalPath(
-            targetMoney,
-            currentMoney,
-            currentUpgrade,
-            upgrades
-        );
+                const container = document.createElement('div');
+                container.className = 'section-quiz';
+                container.dataset.quizSection = section.id;
+                section.element.appendChild(container);
 
-        this.displayCalculationResults(result);
-    }
+                container.addEventListener('click', (e) => {
+                    if (e.target.closest('[data-quiz-start]')) {
+                        this.startSectionQuiz(section.id);
+                    }
+                });
+                container.addEventListener('submit', (e) => {
+                    e.preventDefault();
+                    this.submitSectionQuiz(section.id, e.target);
+                });
 
-    calculateOptimalPath(target, current, currentUpgrade, upgrades) {
-        const paths = [];
+                this.renderQuizIntro(section.id);
+            });
+        }).catch(error => {
+            console.log('Could not load quiz questions:', error);
+        });
+    }
 
-        // Calculate different strategies
-        for (let maxUpgrade = currentUpgrade; maxUpgrade < upgrades.length; maxUpgrade++) {
-            const path = this.simulateUpgradePath(target, current, currentUpgrade, maxUpgrade, upgrades);
-            if (path.success) {
-                paths.push(path);
-            }
-        }
+    getQuizContainer(sectionId) {
+        return document.querySelector(`.section-quiz[data-quiz-section="${sectionId}"]`);
+    }
 
-        return paths.sort((a, b) => {
-            // Prioritize by final moral score, then by time
-            if (Math.abs(a.finalMoral - b.finalMoral) > 5) {
-                return b.finalMoral - a.finalMoral;
+    /**
+     * Updates the mastered/best score line on quizzes that aren't being taken
+     */
+    refreshQuizStatus() {
+        this.sections.forEach(section => {
+            if (!this.activeQuizzes[section.id]) {
+                this.renderQuizIntro(section.id);
             }
-            return a.totalClicks - b.totalClicks;
         });
     }
 
-    simulateUpgradePath(target, startMoney, startUpgrade, maxUpgrade, upgrades) {
-        let money = startMoney;
-        let currentUpgrade = startUpgrade;
-        let totalClicks = 0;
-        let moralScore = 100; // Starting moral score
-        const path = [];
+    renderQuizIntro(sectionId) {
+        const container = this.getQuizContainer(sectionId);
+        if (!container) return;
 
-        // Apply moral penalty for current upgrade
-        for (let i = 1; i <= currentUpgrade; i++) {
-            moralScore += upgrades[i].moral;
-        }
+        const progress = this.readingProgress[sectionId];
+        // Imports from older exports can be mastered without a score
+        const best = Number.isFinite(progress?.quizScore) ? Math.round(progress.quizScore * 100) : null;
+        const status = progress?.mastered ?
+            `<span class="quiz-status mastered">🏅 Mastered${best !== null ? ` (best ${best}%)` : ''}</span>` :
+            best !== null ?
+                `<span class="quiz-status">Best score ${best}%</span>` : '';
 
-        while (money < target && currentUpgrade <= maxUpgrade) {
-            const currentEarnings = upgrades[currentUpgrade].earnings;
+        container.innerHTML = `
+            <button type="button" class="quiz-start-btn" data-quiz-start>🧠 Test yourself</button>
+            ${status}
+        `;
+    }
 
-            // Check if we can afford next upgrade
-            if (currentUpgrade < maxUpgrade && currentUpgrade < upgrades.length - 1) {
-                const nextUpgrade = upgrades[currentUpgrade + 1];
-                const moneyNeeded = nextUpgrade.cost - money;
+    startSectionQuiz(sectionId) {
+        const container = this.getQuizContainer(sectionId);
+        if (!container) return;
 
-                if (moneyNeeded > 0) {
-                    const clicksNeeded = Math.ceil(moneyNeeded / currentEarnings);
-                    money += clicksNeeded * currentEarnings;
-                    totalClicks += clicksNeeded;
-                }
+        const questions = window.quizEngine.createQuiz(sectionId, {
+            upgrades: this.upgrades,
+            bands: this.getEndingBands(),
+            formatBand: band => this.formatBand(band)
+        });
+        if (questions.length === 0) return;
 
-                if (money >= nextUpgrade.cost) {
-                    currentUpgrade++;
-                    moralScore += nextUpgrade.moral;
-                    path.push({
-                        upgrade: nextUpgrade.name,
-                        cost: nextUpgrade.cost,
-                        moralImpact: nextUpgrade.moral,
-                        newMoralScore: moralScore
-                    });
-                }
-            } else {
-                // Final clicks to reach target
-                const remainingMoney = target - money;
-                const finalClicks = Math.ceil(remainingMoney / currentEarnings);
-                totalClicks += finalClicks;
-                money = target;
-                break;
-            }
-        }
+        this.activeQuizzes[sectionId] = questions;
+        container.innerHTML = `
+            <form class="quiz-form">
+                ${questions.map((question, index) => `
+                    <fieldset class="quiz-question">
+                        <legend>${index + 1}. ${question.prompt}</legend>
+                        ${question.choices.map((choice, choiceIndex) => `
+                            <label class="quiz-choice">
+                                <input type="radio" name="quiz-${sectionId}-${index}" value="${choiceIndex}" required>
+                                ${choice}
+                            </label>
+                        `).join('')}
+                    </fieldset>
+                `).join('')}
+                <button type="submit" class="quiz-submit-btn">Check Answers</button>
+            </form>
+        `;
 
-        return {
-            success: money >= target,
-            totalClicks,
-            finalMoral: moralScore,
-            path,
-            estimatedTime: Math.round(totalClicks / 10), // Assuming 10 clicks per second
-            endingType: this.getEndingType(moralScore)
-        };
+        container.querySelector('input')?.focus();
+        this.trackInteraction('quiz', 'started', sectionId);
     }
 
-    getEndingType(moralScore) {
-        if (moralScore >= 60) return 'High Morality';
-        if (moralScore >= 30) return 'Medium Morality';
-        return 'Low Morality';
+    submitSectionQuiz(sectionId, form) {
+        const questions = this.activeQuizzes[sectionId];
+        if (!questions) return;
+
+        const answers = questions.map((_, index) => {
+            const checked = form.querySelector(`input[name="quiz-${sectionId}-${index}"]:checked`);
+            return checked ? parseInt(checked.value) : null;
+        });
+        const result = window.quizEngine.score(questions, answers);
+
+        delete this.activeQuizzes[sectionId];
+        this.recordQuizResult(sectionId, result);
+        this.renderQuizResult(sectionId, questions, result);
     }
 
-    displayCalculationResults(paths) {
-        const resultsContainer = document.getElementById('calculatorResults');
+    recordQuizResult(sectionId, result) {
+        const progress = this.getSectionProgress(sectionId);
+        const wasMastered = Boolean(progress.mastered);
 
-        if (paths.length === 0) {
-            resultsContainer.innerHTML = `
-                <div class="calc-no-results">
-                    <p>❌ No viable path found with current parameters</p>
-                    <p>Try adjusting your target money or starting conditions.</p>
-                </div>
-            `;
-            return;
+        progress.quizScore = Math.max(progress.quizScore || 0, result.ratio);
+        progress.timestamp = Date.now();
+        if (result.passed) {
+            progress.mastered = true;
         }
 
-        const resultsHTML = paths.map((path, index) => `
-            <div class="calc-result ${index === 0 ? 'recommended' : ''}">
-                <div class="calc-header">
-                    <h5>${index === 0 ? '⭐ Recommended' : 'Alternative'} Strategy</h5>
-                    <span class="ending-badge ${path.endingType.toLowerCase().replace(' ', '-')}">${path.endingType} Ending</span>
-                </div>
-                <div class="calc-stats">
-                    <div class="stat">
-                        <span class="stat-label">Total Clicks:</span>
-                        <span class="stat-value">${path.totalClicks.toLocaleString()}</span>
-                    </div>
-                    <div class="stat">
-                        <span class="stat-label">Estimated Time:</span>
-                        <span class="stat-value">${path.estimatedTime}s</span>
-                    </div>
-                    <div class="stat">
-                        <span class="stat-label">Final Moral Score:</span>
-                        <span class="stat-value">${path.finalMoral}</span>
-                    </div>
-                </div>
-                ${path.path.length > 0 ? `
-                    <div class="calc-path">
-                        <h6>Upgrade Path:</h6>
-                        <ol>
-                            ${path.path.map(step => `
-                                <li>${step.upgrade} (-${Math.abs(step.moralImpact)} moral → ${step.newMoralScore})</li>
-                            `).join('')}
-                        </ol>
-                    </div>
-                ` : ''}
-            </div>
-        `).join('');
+        this.saveReadingProgress();
+        this.updateProgressIndicator();
+        this.trackInteraction('quiz', 'completed', `${sectionId}:${result.correct}/${result.total}`);
 
-        resultsContainer.innerHTML = `
-            <div class="calc-results-header">
-                <h4>📊 Calculation Results</h4>
+        if (result.passed && !wasMastered) {
+            this.trackInteraction('quiz', 'mastered', sectionId);
+        }
+    }
+
+    renderQuizResult(sectionId, questions, result) {
+        const container = this.getQuizContainer(sectionId);
+        if (!container) return;
+
+        container.innerHTML = `
+            <div class="quiz-result ${result.passed ? 'passed' : ''}" tabindex="-1">
+                <h4>${result.passed ? '🏅 Section mastered!' : '📖 Keep reading'} — ${result.correct}/${result.total} correct</h4>
+                <ol class="quiz-review">
+                    ${questions.map((question, index) => `
+                        <li class="${result.results[index].correct ? 'correct' : 'incorrect'}">
+                            <strong>${question.prompt}</strong>
+                            <span>${result.results[index].correct ? '✓' : '✗'} ${question.choices[question.answer]}</span>
+                            ${question.explanation ? `<p>${question.explanation}</p>` : ''}
+                        </li>
+                    `).join('')}
+                </ol>
+                <button type="button" class="quiz-start-btn" data-quiz-start>🔄 Retake Quiz</button>
             </div>
-            ${resultsHTML}
         `;
 
-        this.trackInteraction('calculator', 'calculated');
+        container.querySelector('.quiz-result').focus();
     }
 
-    // Utility Methods
-    copyToClipboard(text) {
-        if (navigator.clipboard) {
-            navigator.clipboard.writeText(text).then(() => {
-                this.showNotification('📋 Copied to clipboard!');
-            }).catch(() => {
-                this.fallbackCopy(text);
+    // Site Storage
+    setupStorageEvents() {
+        const storage = window.siteStorage;
+
+        // With the IndexedDB fallback, saved data arrives after startup
+        if (!storage.isLoaded) {
+            storage.ready.then(() => {
+                window.readerSettings?.load();
+                this.renderReaderSettings();
+                this.loadReadingProgress();
+                this.applyFocusMode();
+                this.refreshQuizStatus();
+                this.renderAnnotations();
+                this.buildSearchIndex();
+                this.renderSavedScenarios();
+                this.renderClickProfiles();
+                this.showResumePrompt();
             });
-        } else {
-            this.fallbackCopy(text);
         }
-    }
 
-    fallbackCopy(text) {
-        const textArea = document.createElement('textarea');
-        textArea.value = text;
-        document.body.appendChild(textArea);
-        textArea.select();
+        let warned = false;
+        window.addEventListener('sitestorage:error', (e) => {
+            // Caches rebuild themselves; only warn when the reader's own data is at risk
+            if (warned || storage.evictable.includes(e.detail.name)) return;
 
-        try {
-            document.execCommand('copy');
-            this.showNotification('📋 Copied to clipboard!');
-        } catch (err) {
-            this.showNotification('❌ Copy failed');
+            warned = true;
+            this.showNotification(e.detail.quota ?
+                '⚠️ Browser storage is full, so progress may not be saved' :
+                '⚠️ Progress could not be saved in this browser');
+        });
+
+        window.addEventListener('sitestorage:reset', () => {
+            this.readingProgress = {};
+            this.lastPosition = null;
+            this.updateProgressIndicator();
+            this.renderSavedScenarios();
+            this.activeQuizzes = {};
+            this.refreshQuizStatus();
+            this.editingNoteId = null;
+            this.renderAnnotations();
+            this.buildSearchIndex();
+            window.readerSettings?.load();
+            this.renderReaderSettings();
+            window.clickRateModel?.load();
+            this.renderClickProfiles();
+            this.refreshCalculationResults();
+            this.applyFocusMode({ scroll: true });
+        });
+    }
+
+    resetSiteData() {
+        if (!confirm('Clear all reading progress, saved scenarios, search history and preferences stored by LoveMoney.help in this browser?')) {
+            return;
         }
 
-        document.body.removeChild(textArea);
+        window.siteStorage.resetAll();
+        this.showNotification('🗑️ All site data cleared');
+        this.trackInteraction('storage', 'reset');
     }
 
-    showNotification(message) {
-        const notification = document.createElement('div');
-        notification.className = 'guide-notification';
-        notification.textContent = message;
+    // Resume Reading
+    showResumePrompt() {
+        const position = this.lastPosition;
+        const section = position && this.sections.find(s => s.id === position.sectionId);
+        if (!section) return;
+
+        // Deep links, scenario links and browser scroll restoration win over the prompt
+        if (window.location.hash || window.scrollY > 200) return;
+        if (section === this.sections[0] && position.offset < 0.1) return;
+
+        const prompt = document.createElement('div');
+        prompt.className = 'resume-prompt';
+        prompt.setAttribute('role', 'region');
+        prompt.setAttribute('aria-label', 'Continue reading');
+        prompt.innerHTML = `
+            <span class="resume-text">📖 Continue where you left off in <strong>${section.title}</strong>?</span>
+            <button type="button" class="resume-btn" data-resume="continue">Continue</button>
+            <button type="button" class="resume-dismiss" data-resume="dismiss" aria-label="Start from the top">×</button>
+        `;
 
-        document.body.appendChild(notification);
+        prompt.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-resume]')?.dataset.resume;
+            if (!action) return;
 
-        setTimeout(() => {
-            notification.classList.add('show');
-        }, 100);
+            if (action === 'continue') {
+                this.resumeReading();
+            }
 
-        setTimeout(() => {
-            notification.remove();
-        }, 3000);
+            prompt.remove();
+            this.trackInteraction('resume', action, section.id);
+        });
+
+        document.body.appendChild(prompt);
     }
 
-    generateTableOfContents() {
-        // This could generate a floating TOC for very long sections
-        // Implementation would depend on specific needs
+    resumeReading() {
+        const position = this.lastPosition;
+        const section = position && document.getElementById(position.sectionId);
+        if (!section) return;
+
+        this.revealInFocusMode(section);
+        const rect = section.getBoundingClientRect();
+        const readingLine = window.innerHeight * this.progressSettings.readingLine;
+
+        window.scrollTo({
+            top: rect.top + window.scrollY + rect.height * position.offset - readingLine,
+            behavior: 'smooth'
+        });
+    }
+
+    // Progress Transfer
+    getTransferBundle() {
+        const model = window.clickRateModel;
+
+        return window.progressTransfer.createBundle({
+            readingProgress: this.readingProgress,
+            lastPosition: this.lastPosition,
+            scenarios: this.loadSavedScenarios(),
+            annotations: window.guideAnnotations ? window.guideAnnotations.getAll() : {},
+            preferences: {
+                clickRate: model ? { profile: model.activeProfile, measuredRate: model.profiles.measured.rate } : null,
+                // Only the reader's own opt-out; Do Not Track belongs to this browser
+                analyticsDisabled: window.siteStorage.get('analytics-disabled', false) === true
+            }
+        });
+    }
+
+    openProgressTransfer() {
+        let overlay = document.getElementById('progressTransferOverlay');
+
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.className = 'progress-transfer-overlay';
+            overlay.id = 'progressTransferOverlay';
+            overlay.innerHTML = `
+                <div class="progress-transfer-modal" role="dialog" aria-modal="true" aria-labelledby="progressTransferTitle">
+                    <div class="progress-transfer-header">
+                        <h3 id="progressTransferTitle">⇄ Move Your Progress</h3>
+                        <button type="button" class="progress-transfer-close" aria-label="Close"
+                                onclick="window.guideController.closeProgressTransfer()">×</button>
+                    </div>
+                    <p>Reading progress, notes, saved scenarios and preferences, with no account needed.</p>
+                    <h4>Export</h4>
+                    <label for="progressExportCode">Short code (fits in a QR code):</label>
+                    <textarea id="progressExportCode" rows="3" readonly></textarea>
+                    <div class="progress-transfer-actions">
+                        <button type="button" class="scenario-btn" onclick="window.guideController.copyProgressCode()">📋 Copy Code</button>
+                        <button type="button" class="scenario-btn" onclick="window.guideController.downloadProgressFile()">⬇️ Download JSON</button>
+                    </div>
+                    <h4>Import</h4>
+                    <label for="progressImportCode">Paste a code or JSON export:</label>
+                    <textarea id="progressImportCode" rows="3"></textarea>
+                    <div class="progress-transfer-actions">
+                        <input type="file" id="progressImportFile" accept=".json,application/json">
+                        <button type="button" class="scenario-btn" onclick="window.guideController.importProgress()">⬆️ Import &amp; Merge</button>
+                    </div>
+                    <p class="progress-transfer-status" id="progressTransferStatus" role="status" aria-live="polite"></p>
+                    <h4>Start Over</h4>
+                    <button type="button" class="scenario-btn" onclick="window.guideController.resetSiteData()">🗑️ Reset All Site Data</button>
+                </div>
+            `;
+
+            overlay.addEventListener('click', (e) => {
+                if (e.target === overlay) this.closeProgressTransfer();
+            });
+            overlay.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') this.closeProgressTransfer();
+            });
+            overlay.querySelector('#progressImportFile').addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    file.text().then(text => this.importProgress(text));
+                }
+            });
+
+            document.body.appendChild(overlay);
+        }
+
+        this.saveReadingProgress();
+        document.getElementById('progressExportCode').value = window.progressTransfer.toCompact(this.getTransferBundle());
+        document.getElementById('progressTransferStatus').textContent = '';
+        overlay.hidden = false;
+        overlay.querySelector('.progress-transfer-close').focus();
+
+        this.trackInteraction('progress', 'transfer_opened');
+    }
+
+    closeProgressTransfer() {
+        const overlay = document.getElementById('progressTransferOverlay');
+        if (overlay) {
+            overlay.hidden = true;
+        }
+    }
+
+    copyProgressCode() {
+        this.copyToClipboard(document.getElementById('progressExportCode').value);
+        this.trackInteraction('progress', 'exported', 'code');
+    }
+
+    downloadProgressFile() {
+        const json = window.progressTransfer.toJSON(this.getTransferBundle());
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        link.download = `lovemoney-guide-progress-${new Date().toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+        this.trackInteraction('progress', 'exported', 'file');
+    }
+
+    importProgress(text = document.getElementById('progressImportCode')?.value) {
+        const status = document.getElementById('progressTransferStatus');
+        const transfer = window.progressTransfer;
+
+        try {
+            const incoming = transfer.parse(text);
+            const merged = transfer.merge(transfer.validate(this.getTransferBundle()), incoming);
+            this.applyTransferBundle(merged);
+
+            const sectionCount = Object.keys(incoming.readingProgress.sections).length;
+            const scenarioCount = incoming.scenarios.length;
+            if (status) {
+                status.textContent = `✅ Merged progress for ${sectionCount} section${sectionCount !== 1 ? 's' : ''}` +
+                    ` and ${scenarioCount} scenario${scenarioCount !== 1 ? 's' : ''}.`;
+            }
+            this.trackInteraction('progress', 'imported');
+        } catch (e) {
+            if (status) {
+                status.textContent = `❌ ${e.message}`;
+            }
+        }
+    }
+
+    applyTransferBundle(bundle) {
+        this.readingProgress = bundle.readingProgress.sections;
+        this.lastPosition = bundle.readingProgress.lastPosition;
+        this.saveReadingProgress();
+        this.updateProgressIndicator();
+        this.refreshQuizStatus();
+
+        this.storeSavedScenarios(bundle.scenarios);
+        this.renderSavedScenarios();
+
+        if (window.guideAnnotations) {
+            window.guideAnnotations.replaceAll(bundle.annotations);
+            this.renderAnnotations();
+            this.buildSearchIndex();
+        }
+
+        const { clickRate, analyticsDisabled } = bundle.preferences;
+        const model = window.clickRateModel;
+        if (model && clickRate) {
+            if (clickRate.measuredRate) {
+                model.profiles.measured.rate = clickRate.measuredRate;
+            }
+            model.setProfile(clickRate.profile);
+            model.save();
+            this.renderClickProfiles();
+            this.refreshCalculationResults();
+        }
+
+        if (analyticsDisabled && window.analytics?.isAnalyticsEnabled()) {
+            window.analytics.disable();
+        }
+    }
+
+    // Interactive Features
+    calculateUpgradePath() {
+        const targetMoney = parseInt(document.getElementById('targetMoney').value);
+        const currentMoney = parseInt(document.getElementById('currentMoney').value);
+        const currentUpgrade = parseInt(document.getElementById('currentUpgrade').value);
+
+        const upgrades = this.upgrades;
+
+        if (upgrades.length === 0) {
+            this.displayCalculationResults([]);
+            return;
+        }
+
+        if (document.getElementById('calculatorMode')?.value === 'ending') {
+            this.calculateEndingPlan(targetMoney, currentMoney, currentUpgrade, upgrades);
+            return;
+        }
+
+        const result = this.calculateOptimalPath(
+            targetMoney,
+            currentMoney,
+            currentUpgrade,
+            upgrades
+        );
+
+        this.displayCalculationResults(result);
+    }
+
+    calculateEndingPlan(targetMoney, currentMoney, currentUpgrade, upgrades) {
+        const endingType = document.getElementById('targetEnding').value;
+        const objective = document.getElementById('planObjective').value;
+        const minMoralInput = parseInt(document.getElementById('minMoral').value);
+        const band = this.getEndingBands().find(entry => entry.type === endingType);
+
+        const constraints = {
+            startMoney: currentMoney,
+            startLevel: currentUpgrade,
+            upgrades,
+            minMoral: Number.isNaN(minMoralInput) ? band.min : Math.max(band.min, minMoralInput),
+            maxMoral: band.max
+        };
+
+        let plan = null;
+        if (objective === 'money') {
+            const clickBudget = parseInt(document.getElementById('clickBudget').value);
+            plan = window.upgradePathSolver.maximizeMoney({ ...constraints, clickBudget });
+        } else {
+            // The frontier is ordered by clicks, so its first plan is the fastest in the band
+            plan = window.upgradePathSolver.solve({ ...constraints, target: targetMoney })[0] || null;
+        }
+
+        const paths = plan ? [{
+            ...this.describePlan(plan, objective === 'money' ? 0 : targetMoney),
+            label: objective === 'money' ? '🎯 Most Money' : '🎯 Fastest'
+        }] : [];
+
+        this.displayCalculationResults(paths, {
+            heading: `Plan for the ${endingType} ending`
+        });
+        this.trackInteraction('calculator', 'ending_plan', `${endingType}:${objective}`);
+    }
+
+    calculateOptimalPath(target, current, currentUpgrade, upgrades) {
+        // Every plan on the frontier is the fastest way to finish with its moral score
+        const frontier = window.upgradePathSolver.solve({
+            target,
+            startMoney: current,
+            startLevel: currentUpgrade,
+            upgrades
+        });
+
+        return frontier.map(plan => this.describePlan(plan, target)).sort((a, b) => {
+            // Prioritize by final moral score, then by time
+            if (Math.abs(a.finalMoral - b.finalMoral) > 5) {
+                return b.finalMoral - a.finalMoral;
+            }
+            return a.totalClicks - b.totalClicks;
+        });
+    }
+
+    describePlan(plan, target) {
+        return {
+            success: plan.finalMoney >= target,
+            totalClicks: plan.totalClicks,
+            finalMoral: plan.finalMoral,
+            finalMoney: plan.finalMoney,
+            sequence: plan.sequence,
+            path: plan.steps,
+            timeline: plan.timeline,
+            estimatedTime: window.clickRateModel.estimateSeconds(plan.totalClicks),
+            endingType: this.getEndingType(plan.finalMoral)
+        };
+    }
+
+    getEndingType(moralScore) {
+        const band = this.getEndingBands().find(entry => moralScore >= entry.min);
+        return band.type;
+    }
+
+    getEndingBands() {
+        // Ordered from best to worst; each band covers scores down to its min
+        return [
+            { type: 'High Morality', min: 60, max: Infinity },
+            { type: 'Medium Morality', min: 30, max: 59 },
+            { type: 'Low Morality', min: -Infinity, max: 29 }
+        ];
+    }
+
+    formatBand(band) {
+        if (band.max === Infinity) return `${band.min}+`;
+        if (band.min === -Infinity) return `below ${band.max + 1}`;
+        return `${band.min}-${band.max}`;
+    }
+
+    /**
+     * Redraws the last results (e.g. with new time estimates) without
+     * counting another calculation
+     */
+    refreshCalculationResults() {
+        if (this.lastCalculation) {
+            this.displayCalculationResults(this.lastCalculation.paths, this.lastCalculation.options, { track: false });
+        }
+    }
+
+    displayCalculationResults(paths, options = {}, { track = true } = {}) {
+        const resultsContainer = document.getElementById('calculatorResults');
+        // Scenario kept so the print view can say what the results are for
+        this.lastCalculation = { paths, options, scenario: this.serializeScenario() };
+
+        if (paths.length === 0) {
+            resultsContainer.innerHTML = `
+                <div class="calc-no-results">
+                    <p>❌ No viable path found with current parameters</p>
+                    <p>Try adjusting your target money or starting conditions.</p>
+                </div>
+            `;
+            return;
+        }
+
+        const resultsHTML = paths.map((path, index) => `
+            <div class="calc-result ${index === 0 ? 'recommended' : ''}">
+                <div class="calc-header">
+                    <h5>${path.label || (index === 0 ? '⭐ Recommended' : 'Alternative')} Strategy</h5>
+                    <span class="ending-badge ${path.endingType.toLowerCase().replace(' ', '-')}">${path.endingType} Ending</span>
+                </div>
+                <div class="calc-stats">
+                    <div class="stat">
+                        <span class="stat-label">Total Clicks:</span>
+                        <span class="stat-value">${path.totalClicks.toLocaleString()}</span>
+                    </div>
+                    <div class="stat">
+                        <span class="stat-label">Estimated Time:</span>
+                        <span class="stat-value">${this.formatEstimate(path.totalClicks)}</span>
+                    </div>
+                    <div class="stat stat-compare">
+                        <span class="stat-label">Desktop vs Mobile:</span>
+                        <span class="stat-value">${this.formatDeviceComparison(path.totalClicks)}</span>
+                    </div>
+                    <div class="stat">
+                        <span class="stat-label">Final Moral Score:</span>
+                        <span class="stat-value">${path.finalMoral}</span>
+                    </div>
+                    <div class="stat">
+                        <span class="stat-label">Final Money:</span>
+                        <span class="stat-value">$${path.finalMoney.toLocaleString()}</span>
+                    </div>
+                </div>
+                ${path.path.length > 0 ? `
+                    <div class="calc-path">
+                        <h6>Upgrade Path:</h6>
+                        <ol>
+                            ${path.path.map(step => `
+                                <li>${step.upgrade} at click ${step.atClick.toLocaleString()} (-${Math.abs(step.moralImpact)} moral → ${step.newMoralScore})</li>
+                            `).join('')}
+                        </ol>
+                    </div>
+                ` : ''}
+            </div>
+        `).join('');
+
+        resultsContainer.innerHTML = `
+            <div class="calc-results-header">
+                <h4>📊 ${options.heading || 'Calculation Results'}</h4>
+                <p>${options.heading ? 'Best plan that still lands in this ending band.' : 'Each strategy is the fastest way to reach your target with its final moral score.'}</p>
+            </div>
+            <div class="path-chart" id="calculatorChart"></div>
+            ${resultsHTML}
+        `;
+
+        this.renderPathChart(paths);
+
+        if (track) {
+            this.trackInteraction('calculator', 'calculated');
+        }
+    }
+
+    renderPathChart(paths) {
+        const chartContainer = document.getElementById('calculatorChart');
+        if (!chartContainer || !window.PathChart) return;
+
+        // The results markup is replaced on every calculation, so the chart is too
+        this.pathChart = new window.PathChart(chartContainer);
+        this.pathChart.render(paths, { bands: this.getEndingBands() });
+    }
+
+    formatEstimate(clicks) {
+        const model = window.clickRateModel;
+        const profile = model.getProfile();
+
+        return `${model.formatDuration(model.estimateSeconds(clicks))} (${profile.icon} ${model.getRate()} clicks/s)`;
+    }
+
+    formatDeviceComparison(clicks) {
+        const model = window.clickRateModel;
+
+        return model.compareDevices(clicks)
+            .map(entry => `${entry.icon} ${model.formatDuration(entry.seconds)}`)
+            .join(' vs ');
+    }
+
+    // Utility Methods
+    copyToClipboard(text) {
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(text).then(() => {
+                this.showNotification('📋 Copied to clipboard!');
+            }).catch(() => {
+                this.fallbackCopy(text);
+            });
+        } else {
+            this.fallbackCopy(text);
+        }
+    }
+
+    fallbackCopy(text) {
+        const textArea = document.createElement('textarea');
+        textArea.value = text;
+        document.body.appendChild(textArea);
+        textArea.select();
+
+        try {
+            document.execCommand('copy');
+            this.showNotification('📋 Copied to clipboard!');
+        } catch (err) {
+            this.showNotification('❌ Copy failed');
+        }
+
+        document.body.removeChild(textArea);
+    }
+
+    showNotification(message) {
+        const notification = document.createElement('div');
+        notification.className = 'guide-notification';
+        notification.textContent = message;
+
+        document.body.appendChild(notification);
+
+        setTimeout(() => {
+            notification.classList.add('show');
+        }, 100);
+
+        setTimeout(() => {
+            notification.remove();
+        }, 3000);
+    }
+
+    // Bookmarks and Notes
+    setupAnnotations() {
+        if (!window.guideAnnotations) return;
+
+        // Sections and tips can carry a bookmark and a note
+        this.annotationAnchors = [
+            ...this.sections.map(section => ({
+                id: section.id,
+                title: section.title.replace(/\s+/g, ' '),
+                host: section.element.querySelector('.section-header') || section.element
+            })),
+            ...Array.from(document.querySelectorAll('.guide-section .tip-item[id]'), tip => ({
+                id: tip.id,
+                title: tip.querySelector('h4')?.textContent.trim() || tip.id,
+                host: tip
+            }))
+        ];
+
+        this.annotationAnchors.forEach(anchor => {
+            const controls = document.createElement('div');
+            controls.className = 'annotation-controls';
+            controls.dataset.annotationFor = anchor.id;
+            anchor.host.appendChild(controls);
+        });
+
+        this.createNotesPanel();
+
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-annotation-action]');
+            if (button) {
+                this.handleAnnotationAction(button.closest('[data-annotation-for]').dataset.annotationFor, button.dataset.annotationAction, e);
+            }
+        });
+
+        this.renderAnnotations();
+    }
+
+    createNotesPanel() {
+        const navigation = document.getElementById('guideNav');
+        if (!navigation) return;
+
+        const panel = document.createElement('aside');
+        panel.className = 'notes-panel';
+        panel.id = 'notesPanel';
+        panel.setAttribute('aria-label', 'My notes and bookmarks');
+        panel.innerHTML = `
+            <button type="button" class="notes-panel-toggle" aria-expanded="false" aria-controls="notesPanelList">
+                📝 My Notes &amp; Bookmarks <span class="notes-count" id="notesCount"></span>
+            </button>
+            <div class="notes-panel-list" id="notesPanelList" hidden></div>
+        `;
+        navigation.insertAdjacentElement('afterend', panel);
+
+        panel.querySelector('.notes-panel-toggle').addEventListener('click', (e) => {
+            const list = document.getElementById('notesPanelList');
+            list.hidden = !list.hidden;
+            e.currentTarget.setAttribute('aria-expanded', String(!list.hidden));
+        });
+    }
+
+    getAnnotationAnchor(anchorId) {
+        return this.annotationAnchors.find(anchor => anchor.id === anchorId) || null;
+    }
+
+    handleAnnotationAction(anchorId, action, event) {
+        const annotations = window.guideAnnotations;
+        const anchor = this.getAnnotationAnchor(anchorId);
+        const title = anchor?.title || annotations.get(anchorId)?.title || anchorId;
+
+        switch (action) {
+            case 'bookmark': {
+                const bookmarked = annotations.toggleBookmark(anchorId, title);
+                this.showNotification(bookmarked ? '🔖 Bookmarked' : 'Bookmark removed');
+                if (bookmarked) {
+                    this.trackInteraction('annotation', 'bookmarked', anchorId);
+                }
+                break;
+            }
+            case 'note':
+                this.editingNoteId = anchorId;
+                break;
+            case 'save': {
+                const note = document.getElementById(`note-${anchorId}`)?.value || '';
+                annotations.setNote(anchorId, title, note);
+                this.editingNoteId = null;
+                this.buildSearchIndex();
+                if (note.trim()) {
+                    this.trackInteraction('annotation', 'note_saved', anchorId);
+                }
+                break;
+            }
+            case 'cancel':
+                this.editingNoteId = null;
+                break;
+            case 'delete-note':
+                annotations.setNote(anchorId, title, '');
+                this.editingNoteId = null;
+                this.buildSearchIndex();
+                break;
+            case 'go':
+                event.preventDefault();
+                this.goToSection(anchorId);
+                return;
+            case 'edit':
+                this.editingNoteId = anchorId;
+                this.goToSection(anchorId);
+                break;
+            case 'remove':
+                annotations.remove(anchorId);
+                this.buildSearchIndex();
+                break;
+            default:
+                return;
+        }
+
+        this.renderAnnotations();
+
+        if (this.editingNoteId === anchorId) {
+            document.getElementById(`note-${anchorId}`)?.focus();
+        }
+    }
+
+    renderAnnotations() {
+        if (!window.guideAnnotations) return;
+
+        const annotations = window.guideAnnotations.getAll();
+        this.annotationAnchors.forEach(anchor => this.renderAnnotationControls(anchor, annotations[anchor.id]));
+        this.renderNotesPanel(annotations);
+    }
+
+    renderAnnotationControls(anchor, annotation) {
+        const controls = document.querySelector(`.annotation-controls[data-annotation-for="${anchor.id}"]`);
+        if (!controls) return;
+
+        const escape = text => this.searchIndex.escapeHtml(text);
+        const bookmarked = Boolean(annotation?.bookmarked);
+        const note = annotation?.note || '';
+        const editing = this.editingNoteId === anchor.id;
+
+        controls.innerHTML = `
+            <div class="annotation-buttons">
+                <button type="button" class="annotation-btn ${bookmarked ? 'active' : ''}" data-annotation-action="bookmark"
+                    aria-pressed="${bookmarked}" title="${bookmarked ? 'Remove bookmark' : 'Bookmark'}">🔖</button>
+                <button type="button" class="annotation-btn" data-annotation-action="note" ${editing ? 'disabled' : ''}>
+                    📝 ${note ? 'Edit note' : 'Add note'}
+                </button>
+            </div>
+            ${editing ? `
+                <div class="annotation-editor">
+                    <label for="note-${anchor.id}">Note on ${escape(anchor.title)}</label>
+                    <textarea id="note-${anchor.id}" rows="3" maxlength="${window.guideAnnotations.maxNoteLength}">${escape(note)}</textarea>
+                    <div class="annotation-editor-actions">
+                        <button type="button" class="scenario-btn" data-annotation-action="save">Save Note</button>
+                        <button type="button" class="scenario-btn" data-annotation-action="cancel">Cancel</button>
+                        ${note ? '<button type="button" class="scenario-btn" data-annotation-action="delete-note">Delete Note</button>' : ''}
+                    </div>
+                </div>
+            ` : note ? `
+                <p class="annotation-note">${escape(note)}</p>
+            ` : ''}
+        `;
+    }
+
+    renderNotesPanel(annotations) {
+        const list = document.getElementById('notesPanelList');
+        const count = document.getElementById('notesCount');
+        if (!list) return;
+
+        const escape = text => this.searchIndex.escapeHtml(text);
+        const order = new Map(this.annotationAnchors.map((anchor, index) => [anchor.id, index]));
+
+        // Guide order; annotations whose anchor has gone from the guide go last
+        const entries = Object.entries(annotations).sort(([a], [b]) =>
+            (order.has(a) ? order.get(a) : Infinity) - (order.has(b) ? order.get(b) : Infinity));
+
+        if (count) {
+            count.textContent = entries.length ? `(${entries.length})` : '';
+        }
+
+        if (entries.length === 0) {
+            list.innerHTML = '<p class="notes-panel-empty">Use 🔖 and 📝 on any section or tip to keep bookmarks and notes here. They are also found by search (press /).</p>';
+            return;
+        }
+
+        list.innerHTML = `
+            <ul>
+                ${entries.map(([anchorId, entry]) => `
+                    <li class="notes-panel-item" data-annotation-for="${anchorId}">
+                        ${order.has(anchorId) ? `
+                            <a href="#${anchorId}" data-annotation-action="go">${entry.bookmarked ? '🔖 ' : ''}${escape(entry.title)}</a>
+                        ` : `
+                            <span>${escape(entry.title)} <em>(no longer in the guide)</em></span>
+                        `}
+                        ${entry.note ? `<p>${escape(entry.note.length > 140 ? `${entry.note.slice(0, 140)}…` : entry.note)}</p>` : ''}
+                        <div class="notes-panel-actions">
+                            ${order.has(anchorId) ? '<button type="button" data-annotation-action="edit">Edit note</button>' : ''}
+                            <button type="button" data-annotation-action="remove" aria-label="Remove ${escape(entry.title)}">Remove</button>
+                        </div>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    // Ending Simulator
+    setupEndingSimulator() {
+        const endingsSection = document.getElementById('endings');
+        if (!endingsSection || !window.EndingSimulator) return;
+
+        const bands = this.getEndingBands();
+        this.simulators = [0, 1].map(() => new window.EndingSimulator({ upgrades: this.upgrades, bands }));
+
+        const container = document.createElement('div');
+        container.className = 'ending-simulator';
+        container.id = 'endingSimulator';
+        container.innerHTML = `
+            <div class="simulator-header">
+                <h4>🎭 Ending Simulator</h4>
+                <p>Add purchases and clicks in any order to see how each choice moves your moral score between endings.</p>
+                <label class="simulator-compare">
+                    <input type="checkbox" id="simulatorCompare"> Compare two timelines
+                </label>
+            </div>
+            <div class="simulator-timelines">
+                ${this.simulators.map((_, index) => `
+                    <div class="simulator-timeline" data-timeline="${index}" ${index > 0 ? 'hidden' : ''}></div>
+                `).join('')}
+            </div>
+        `;
+
+        const philosophy = endingsSection.querySelector('.endings-philosophy');
+        endingsSection.insertBefore(container, philosophy);
+
+        container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-sim-action]');
+            if (button) {
+                this.handleSimulatorAction(parseInt(button.closest('[data-timeline]').dataset.timeline), button.dataset.simAction);
+            }
+        });
+
+        container.addEventListener('keydown', (e) => {
+            const timeline = e.target.closest('[data-timeline]');
+            if (!timeline || !(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z' && e.key.toLowerCase() !== 'y') return;
+
+            // Leave undo inside the click count field to the browser
+            if (e.target.matches('input[type="number"]')) return;
+
+            e.preventDefault();
+            const redo = e.key.toLowerCase() === 'y' || e.shiftKey;
+            this.handleSimulatorAction(parseInt(timeline.dataset.timeline), redo ? 'redo' : 'undo');
+        });
+
+        document.getElementById('simulatorCompare').addEventListener('change', (e) => {
+            container.classList.toggle('comparing', e.target.checked);
+            container.querySelector('[data-timeline="1"]').hidden = !e.target.checked;
+            this.renderEndingSimulator();
+            this.trackInteraction('simulator', e.target.checked ? 'compare_opened' : 'compare_closed');
+        });
+
+        this.renderEndingSimulator();
+    }
+
+    handleSimulatorAction(index, action) {
+        const simulator = this.simulators[index];
+        const timeline = document.querySelector(`#endingSimulator [data-timeline="${index}"]`);
+        if (!simulator || !timeline) return;
+
+        switch (action) {
+            case 'purchase':
+                simulator.addStep({ type: 'purchase', upgradeId: timeline.querySelector('[data-sim-upgrade]').value });
+                this.trackInteraction('simulator', 'step_added', 'purchase');
+                break;
+            case 'clicks':
+                simulator.addStep({ type: 'clicks', count: parseInt(timeline.querySelector('[data-sim-clicks]').value) });
+                this.trackInteraction('simulator', 'step_added', 'clicks');
+                break;
+            case 'undo':
+                simulator.undo();
+                break;
+            case 'redo':
+                simulator.redo();
+                break;
+            case 'reset':
+                simulator.reset();
+                break;
+            case 'copy':
+                simulator.copyFrom(this.simulators[1 - index]);
+                break;
+            default:
+                return;
+        }
+
+        this.renderSimulatorTimeline(index);
+
+        // Re-rendering replaced the button, so keep focus on its replacement
+        const replacement = timeline.querySelector(`[data-sim-action="${action}"]`);
+        (replacement && !replacement.disabled ? replacement : timeline.querySelector('[data-sim-action="purchase"]'))?.focus();
+    }
+
+    renderEndingSimulator() {
+        const compare = document.getElementById('simulatorCompare')?.checked;
+        this.simulators.forEach((_, index) => {
+            if (index === 0 || compare) {
+                this.renderSimulatorTimeline(index);
+            }
+        });
+    }
+
+    renderSimulatorTimeline(index) {
+        const simulator = this.simulators[index];
+        const timeline = document.querySelector(`#endingSimulator [data-timeline="${index}"]`);
+        if (!simulator || !timeline) return;
+
+        if (this.upgrades.length === 0) {
+            timeline.innerHTML = '<p class="simulator-empty">Loading upgrades...</p>';
+            return;
+        }
+
+        const states = simulator.getStates();
+        const projection = simulator.getProjection();
+        const available = simulator.getAvailableUpgrades();
+        const compare = document.getElementById('simulatorCompare')?.checked;
+        const previousCount = timeline.querySelector('[data-sim-clicks]')?.value || 100;
+        const badgeClass = band => band.type.toLowerCase().replace(' ', '-');
+        const moralPercent = Math.min(100, Math.max(0, projection.moral));
+
+        timeline.innerHTML = `
+            ${compare ? `<h5>Timeline ${String.fromCharCode(65 + index)}</h5>` : ''}
+            <div class="simulator-summary" aria-live="polite">
+                <div class="simulator-score">
+                    <span class="stat-label">Moral Score</span>
+                    <span class="stat-value">${projection.moral}</span>
+                </div>
+                <span class="ending-badge ${badgeClass(projection.band)}">${projection.band.type} Ending</span>
+                <div class="simulator-meter" role="presentation">
+                    <div class="simulator-meter-fill ${badgeClass(projection.band)}" style="width: ${moralPercent}%"></div>
+                    ${this.getEndingBands().filter(band => band.min > 0 && band.min <= 100).map(band => `
+                        <span class="simulator-meter-mark" style="left: ${band.min}%" title="${band.type} from ${band.min}"></span>
+                    `).join('')}
+                </div>
+                <p class="simulator-money">
+                    $${projection.money.toLocaleString()} on hand · $${projection.earnings} per click ·
+                    ${projection.clicks.toLocaleString()} clicks so far ·
+                    ${projection.remainingClicks > 0 ?
+                        `${projection.remainingClicks.toLocaleString()} more to $${simulator.target.toLocaleString()}` :
+                        `$${simulator.target.toLocaleString()} reached`}
+                </p>
+            </div>
+            <div class="simulator-actions">
+                <div class="control-group">
+                    <select data-sim-upgrade aria-label="Upgrade to buy" ${available.length === 0 ? 'disabled' : ''}>
+                        ${available.map(upgrade => `
+                            <option value="${upgrade.id}">${upgrade.name} ($${upgrade.cost.toLocaleString()}, ${upgrade.moral} moral)</option>
+                        `).join('') || '<option>Every upgrade bought</option>'}
+                    </select>
+                    <button type="button" class="scenario-btn" data-sim-action="purchase" ${available.length === 0 ? 'disabled' : ''}>🛒 Buy</button>
+                </div>
+                <div class="control-group">
+                    <input type="number" data-sim-clicks value="${previousCount}" min="1" aria-label="Number of clicks">
+                    <button type="button" class="scenario-btn" data-sim-action="clicks">🖱️ Click</button>
+                </div>
+                <div class="control-group">
+                    <button type="button" class="scenario-btn" data-sim-action="undo" ${simulator.canUndo() ? '' : 'disabled'}>↶ Undo</button>
+                    <button type="button" class="scenario-btn" data-sim-action="redo" ${simulator.canRedo() ? '' : 'disabled'}>↷ Redo</button>
+                    <button type="button" class="scenario-btn" data-sim-action="reset" ${simulator.canUndo() ? '' : 'disabled'}>Reset</button>
+                    ${compare ? `
+                        <button type="button" class="scenario-btn" data-sim-action="copy">
+                            ⇆ Copy Timeline ${String.fromCharCode(65 + (1 - index))}
+                        </button>
+                    ` : ''}
+                </div>
+            </div>
+            <ol class="simulator-steps">
+                <li class="simulator-step">Start: moral ${states[0].moral}, ${states[0].band.type}</li>
+                ${states.slice(1).map(state => `
+                    <li class="simulator-step ${state.crossedBand ? 'band-change' : ''}">
+                        ${state.step.type === 'purchase' ?
+                            `Buy ${state.upgrade.name}${state.autoClicks > 0 ? ` after ${state.autoClicks.toLocaleString()} clicks` : ''}: ` +
+                            `${state.upgrade.moral} moral → ${state.moral}` :
+                            `Click ${state.step.count.toLocaleString()} times: $${state.money.toLocaleString()} on hand`}
+                        ${state.crossedBand ? `<strong>Now heading for ${state.band.type}</strong>` : ''}
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+    }
+
+    // Table of Contents
+    /**
+     * Builds a collapsible outline of every section's h2/h3/h4 headings.
+     * h4s nest under the h3 before them; the scroll spy keeps the entry
+     * being read highlighted.
+     */
+    generateTableOfContents() {
+        const navigation = document.querySelector('.guide-navigation');
+        if (!navigation || this.sections.length === 0) return;
+
+        // Headings in generated UI aren't part of the guide's outline
+        const excluded = '.upgrade-calculator, .ending-simulator, .section-quiz';
+        const titleOf = element => element.textContent.replace(/\s+/g, ' ').trim();
+        this.tocEntries = [];
+
+        const tree = this.sections.map(section => {
+            const sectionEntry = {
+                id: section.id,
+                title: titleOf(section.element.querySelector('.section-title') || section.element),
+                level: 2,
+                sectionId: section.id,
+                element: section.element,
+                children: []
+            };
+            let parent = sectionEntry;
+
+            section.element.querySelectorAll('h3, h4').forEach(heading => {
+                if (heading.closest(excluded)) return;
+
+                // Tip headings are anchored on the tip item that wraps them
+                const target = heading.id ? heading : heading.closest('.tip-item[id]');
+                if (!target) return;
+
+                const entry = {
+                    id: target.id,
+                    title: titleOf(heading),
+                    level: heading.tagName === 'H3' ? 3 : 4,
+                    sectionId: section.id,
+                    element: heading,
+                    children: []
+                };
+
+                if (entry.level === 3) {
+                    sectionEntry.children.push(entry);
+                    parent = entry;
+                } else {
+                    parent.children.push(entry);
+                }
+                this.tocEntries.push(entry);
+            });
+
+            this.tocEntries.push(sectionEntry);
+            return sectionEntry;
+        });
+
+        const toc = document.createElement('nav');
+        toc.className = 'guide-toc';
+        toc.setAttribute('aria-label', 'Table of contents');
+        toc.innerHTML = `
+            <button type="button" class="toc-toggle" aria-expanded="false" aria-controls="tocTree">
+                📑 Contents
+            </button>
+            <ol class="toc-tree" id="tocTree" hidden>
+                ${tree.map(entry => this.renderTocEntry(entry)).join('')}
+            </ol>
+        `;
+        navigation.appendChild(toc);
+
+        toc.addEventListener('click', (e) => {
+            if (e.target.closest('.toc-toggle')) {
+                this.toggleTableOfContents();
+                return;
+            }
+
+            const expand = e.target.closest('.toc-expand');
+            if (expand) {
+                this.setTocEntryExpanded(expand.closest('.toc-item'), expand.getAttribute('aria-expanded') !== 'true');
+                return;
+            }
+
+            const link = e.target.closest('.toc-link');
+            if (link) {
+                e.preventDefault();
+                const targetId = link.getAttribute('href').substring(1);
+                this.goToSection(targetId);
+                this.trackInteraction('toc', 'navigate', targetId);
+            }
+        });
+
+        // Sections are already observed; add the headings beneath them
+        this.tocEntries.forEach(entry => {
+            if (entry.level > 2) {
+                this.tocHeadings.set(entry.element, entry.id);
+                this.scrollSpyObserver?.observe(entry.element);
+            }
+        });
+
+        if (this.currentSection) {
+            this.setActiveTocEntry(this.currentSection);
+        }
+    }
+
+    renderTocEntry(entry) {
+        const childrenId = `toc-${entry.id}-children`;
+        const hasChildren = entry.children.length > 0;
+
+        return `
+            <li class="toc-item toc-level-${entry.level}" data-toc-id="${entry.id}">
+                <div class="toc-row">
+                    ${hasChildren ? `
+                        <button type="button" class="toc-expand" aria-expanded="false" aria-controls="${childrenId}"
+                            aria-label="Show subsections of ${entry.title}"></button>
+                    ` : ''}
+                    <a href="#${entry.id}" class="toc-link">${entry.title}</a>
+                    <span class="toc-state"></span>
+                </div>
+                ${hasChildren ? `
+                    <ol class="toc-children" id="${childrenId}" hidden>
+                        ${entry.children.map(child => this.renderTocEntry(child)).join('')}
+                    </ol>
+                ` : ''}
+            </li>
+        `;
+    }
+
+    toggleTableOfContents(open) {
+        const toggle = document.querySelector('.toc-toggle');
+        const tree = document.getElementById('tocTree');
+        if (!toggle || !tree) return;
+
+        const expanded = open ?? tree.hidden;
+        tree.hidden = !expanded;
+        toggle.setAttribute('aria-expanded', String(expanded));
+
+        if (expanded) {
+            // Not kept up to date while the tree is hidden
+            this.updateTocProgress();
+        }
+    }
+
+    setTocEntryExpanded(item, expanded) {
+        const button = item?.querySelector(':scope > .toc-row .toc-expand');
+        const children = item?.querySelector(':scope > .toc-children');
+        if (!button || !children) return;
+
+        children.hidden = !expanded;
+        button.setAttribute('aria-expanded', String(expanded));
+    }
+
+    setActiveTocEntry(id) {
+        const toc = document.querySelector('.guide-toc');
+        const item = toc?.querySelector(`[data-toc-id="${id}"]`);
+        if (!item) return;
+
+        toc.querySelectorAll('.toc-link.active').forEach(link => {
+            link.classList.remove('active');
+            link.removeAttribute('aria-current');
+        });
+
+        const link = item.querySelector(':scope > .toc-row .toc-link');
+        link.classList.add('active');
+        link.setAttribute('aria-current', 'location');
+
+        // Open the branch the reader is in so the highlight is visible
+        for (let parent = item.parentElement.closest('.toc-item'); parent; parent = parent.parentElement.closest('.toc-item')) {
+            this.setTocEntryExpanded(parent, true);
+        }
+    }
+
+    /**
+     * Marks entries the reader has got through. A section counts once it is
+     * read; a heading counts once the section's scroll depth has passed it.
+     */
+    updateTocProgress() {
+        const tree = document.getElementById('tocTree');
+        if (!tree || tree.hidden) return;
+
+        // Measure everything before writing so layout is only calculated once
+        const sectionRects = new Map(this.sections.map(section => [section.id, section.element.getBoundingClientRect()]));
+        const states = this.tocEntries.map(entry => {
+            const progress = this.readingProgress[entry.sectionId];
+            if (!progress) return { entry, read: false };
+            if (entry.level === 2 || progress.read) {
+                return { entry, read: Boolean(progress.read), mastered: entry.level === 2 && progress.mastered };
+            }
+
+            const sectionRect = sectionRects.get(entry.sectionId);
+            const offset = (entry.element.getBoundingClientRect().top - sectionRect.top) / (sectionRect.height || 1);
+            return { entry, read: progress.depth > 0 && offset < progress.depth };
+        });
+
+        states.forEach(({ entry, read, mastered }) => {
+            const item = tree.querySelector(`[data-toc-id="${entry.id}"]`);
+            const state = item?.querySelector(':scope > .toc-row .toc-state');
+            if (!state) return;
+
+            item.classList.toggle('toc-read', read);
+            state.textContent = mastered ? '🏅' : read ? '✓' : '';
+            state.title = mastered ? 'Mastered' : read ? 'Read' : '';
+        });
+    }
+
+    // Print and Export
+    setupPrintView() {
+        // Also covers the browser's own print command
+        window.addEventListener('beforeprint', () => this.preparePrintView());
+        window.addEventListener('afterprint', () => this.restorePrintView());
+    }
+
+    printGuide() {
+        this.trackInteraction('guide', 'printed');
+        window.print();
+    }
+
+    /**
+     * Turns the page into a static document: every expandable block open,
+     * interactive UI hidden (see .print-mode in guide.css), the calculator
+     * reduced to its last results and a contents list at the top.
+     */
+    preparePrintView({ pageNumbers = true } = {}) {
+        if (this.printState) return;
+
+        const expanded = Array.from(document.querySelectorAll('[data-expandable]:not(.expanded)'));
+        expanded.forEach(element => element.classList.add('expanded'));
+        document.body.classList.add('print-mode');
+
+        this.printState = { expanded, added: [] };
+
+        const summary = this.renderPrintCalculatorSummary();
+        const toc = this.renderPrintTableOfContents();
+        this.printState.added = [summary, toc].filter(Boolean);
+
+        if (toc && pageNumbers) {
+            this.addPrintPageNumbers(toc);
+        }
+    }
+
+    restorePrintView() {
+        if (!this.printState) return;
+
+        this.printState.expanded.forEach(element => element.classList.remove('expanded'));
+        this.printState.added.forEach(element => element.remove());
+        document.getElementById('upgradeCalculator')?.classList.remove('print-empty');
+        document.body.classList.remove('print-mode');
+
+        this.printState = null;
+    }
+
+    renderPrintCalculatorSummary() {
+        const calculator = document.getElementById('upgradeCalculator');
+        if (!calculator) return null;
+
+        // Without results there is nothing worth printing from the calculator
+        if (!this.lastCalculation) {
+            calculator.classList.add('print-empty');
+            return null;
+        }
+
+        const params = this.parseScenario(this.lastCalculation.scenario);
+        const profile = window.clickRateModel?.getProfile();
+
+        const summary = document.createElement('p');
+        summary.className = 'print-calculator-summary';
+        summary.innerHTML = `
+            <strong>Scenario:</strong> ${params ? this.describeScenario(params) : 'Custom'}
+            ${profile ? ` · ${profile.icon} ${window.clickRateModel.getRate()} clicks/s` : ''}
+        `;
+
+        calculator.insertBefore(summary, document.getElementById('calculatorResults'));
+        return summary;
+    }
+
+    renderPrintTableOfContents() {
+        const content = document.querySelector('.guide-content');
+        if (!content || this.sections.length === 0) return null;
+
+        // Sections and their h3s; h4s would make the list longer than it is useful on paper
+        const row = entry => `
+            <div class="print-toc-row">
+                <a href="#${entry.id}">${entry.title}</a>
+                <span class="print-toc-page" data-print-page="${entry.id}"></span>
+            </div>
+        `;
+        const sections = this.tocEntries.filter(entry => entry.level === 2);
+
+        const toc = document.createElement('nav');
+        toc.className = 'print-toc';
+        toc.setAttribute('aria-label', 'Contents');
+        toc.innerHTML = `
+            <h2>Contents</h2>
+            <p class="print-source">${window.location.origin}${window.location.pathname} · ${new Date().toLocaleDateString()}</p>
+            <ol>
+                ${sections.map(section => `
+                    <li>
+                        ${row(section)}
+                        <ol>
+                            ${this.tocEntries
+                                .filter(entry => entry.level === 3 && entry.sectionId === section.id)
+                                .map(entry => `<li>${row(entry)}</li>`)
+                                .join('')}
+                        </ol>
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+
+        content.insertBefore(toc, content.firstChild);
+        return toc;
+    }
+
+    /**
+     * Browsers don't expose print pagination, so page numbers are estimated
+     * from the print-mode layout: each section starts a new A4 page (see
+     * @media print) holding about 257mm of content.
+     */
+    addPrintPageNumbers(toc) {
+        const pageHeight = 257 * 96 / 25.4;
+        const documentTop = document.body.getBoundingClientRect().top;
+        const firstSection = this.sections[0].element.getBoundingClientRect();
+        const pages = new Map();
+        let page = Math.ceil((firstSection.top - documentTop) / pageHeight) + 1;
+
+        this.sections.forEach(section => {
+            const rect = section.element.getBoundingClientRect();
+            pages.set(section.id, page);
+
+            this.tocEntries
+                .filter(entry => entry.level === 3 && entry.sectionId === section.id)
+                .forEach(entry => {
+                    const offset = entry.element.getBoundingClientRect().top - rect.top;
+                    pages.set(entry.id, page + Math.floor(Math.max(0, offset) / pageHeight));
+                });
+
+            page += Math.max(1, Math.ceil(rect.height / pageHeight));
+        });
+
+        toc.querySelectorAll('[data-print-page]').forEach(element => {
+            element.textContent = pages.get(element.dataset.printPage) || '';
+        });
+    }
+
+    /**
+     * Saves the print view as one HTML file with the stylesheets inlined,
+     * so it can be read offline without the site
+     */
+    async exportGuideHTML() {
+        this.preparePrintView({ pageNumbers: false });
+        const copy = document.documentElement.cloneNode(true);
+        this.restorePrintView();
+
+        const stylesheets = Array.from(copy.querySelectorAll('link[rel="stylesheet"]'));
+        const styles = await Promise.all(stylesheets.map(link =>
+            fetch(link.href)
+                .then(response => response.ok ? response.text() : '')
+                .catch(() => '')
+        ));
+
+        stylesheets.forEach((link, index) => {
+            const style = document.createElement('style');
+            style.textContent = styles[index];
+            link.replaceWith(style);
+        });
+
+        // Nothing interactive works without the scripts, so drop it all
+        copy.querySelectorAll('script:not([type="application/ld+json"]), link[rel="manifest"], link[rel="preconnect"], ins.adsbygoogle')
+            .forEach(element => element.remove());
+        copy.querySelectorAll('[onclick]').forEach(element => element.removeAttribute('onclick'));
+
+        // The file may be shared, so leave out the reader's notes, prompts and settings
+        copy.querySelectorAll([
+            '.annotation-controls', '.notes-panel', '.resume-prompt', '#searchOverlay', '#progressTransferOverlay',
+            '.reader-settings-toggle', '.reader-settings-panel', '.focus-bar'
+        ].join(', ')).forEach(element => element.remove());
+        Array.from(copy.classList)
+            .filter(name => name.startsWith('reader-'))
+            .forEach(name => copy.classList.remove(name));
+        if (!copy.className) copy.removeAttribute('class');
+        ['--reader-font-scale', '--reader-line-spacing'].forEach(property => copy.style.removeProperty(property));
+        if (!copy.getAttribute('style')) copy.removeAttribute('style');
+        copy.querySelector('body')?.classList.remove('focus-ready');
+
+        // Site links have to point back at the site once the file is saved elsewhere
+        copy.querySelectorAll('a[href^="/"]').forEach(link => {
+            link.setAttribute('href', window.location.origin + link.getAttribute('href'));
+        });
+
+        const html = `<!DOCTYPE html>\n${copy.outerHTML}`;
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+        link.download = `lovemoney-guide-${new Date().toISOString().slice(0, 10)}.html`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+        this.trackInteraction('guide', 'exported', 'html');
+    }
+
+    // Reader Settings
+    setupReaderSettings() {
+        const settings = window.readerSettings;
+        if (!settings) return;
+
+        const { min, max } = settings.fontScaleRange;
+
+        // Kept outside the navigation, which focus mode hides
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'reader-settings-toggle';
+        toggle.id = 'readerSettingsToggle';
+        toggle.title = 'Reading settings';
+        toggle.setAttribute('aria-label', 'Reading settings');
+        toggle.setAttribute('aria-expanded', 'false');
+        toggle.setAttribute('aria-controls', 'readerSettingsPanel');
+        toggle.textContent = 'Aa';
+
+        const panel = document.createElement('div');
+        panel.className = 'reader-settings-panel';
+        panel.id = 'readerSettingsPanel';
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-labelledby', 'readerSettingsTitle');
+        panel.hidden = true;
+        panel.innerHTML = `
+            <h3 class="reader-settings-title" id="readerSettingsTitle">Reading Settings</h3>
+            <label class="reader-setting reader-setting-check">
+                <input type="checkbox" data-reader-setting="focusMode">
+                <span>Focus mode <small>One section at a time, without the side navigation</small></span>
+            </label>
+            <label class="reader-setting">
+                <span>Text size <output id="readerFontScaleValue"></output></span>
+                <input type="range" min="${min}" max="${max}" step="0.05" data-reader-setting="fontScale">
+            </label>
+            <label class="reader-setting">
+                <span>Line spacing</span>
+                <select data-reader-setting="lineSpacing">
+                    <option value="compact">Compact</option>
+                    <option value="normal">Normal</option>
+                    <option value="relaxed">Relaxed</option>
+                    <option value="loose">Loose</option>
+                </select>
+            </label>
+            <label class="reader-setting reader-setting-check">
+                <input type="checkbox" data-reader-setting="dyslexicFont">
+                <span>Dyslexia-friendly font <small>OpenDyslexic with wider letter and word spacing</small></span>
+            </label>
+            <label class="reader-setting reader-setting-check">
+                <input type="checkbox" data-reader-setting="highContrast">
+                <span>High contrast</span>
+            </label>
+            <button type="button" class="reader-settings-reset" data-reader-reset>Reset to defaults</button>
+        `;
+
+        const focusBar = document.createElement('div');
+        focusBar.className = 'focus-bar';
+        focusBar.id = 'focusBar';
+        focusBar.setAttribute('role', 'navigation');
+        focusBar.setAttribute('aria-label', 'Focus mode');
+        focusBar.innerHTML = `
+            <button type="button" class="focus-bar-btn" data-focus-step="-1">← Previous</button>
+            <span class="focus-bar-title" id="focusBarTitle" aria-live="polite"></span>
+            <button type="button" class="focus-bar-btn" data-focus-step="1">Next →</button>
+            <button type="button" class="focus-bar-btn focus-bar-exit" data-focus-exit>Exit focus</button>
+        `;
+
+        document.body.append(toggle, panel);
+
+        // Takes the place of the navigation while focus mode is on
+        const navigation = document.getElementById('guideNav');
+        if (navigation) {
+            navigation.insertAdjacentElement('afterend', focusBar);
+        } else {
+            document.body.prepend(focusBar);
+        }
+
+        toggle.addEventListener('click', () => this.toggleReaderSettings());
+
+        // The text size slider previews while dragging; every control saves on change
+        panel.addEventListener('input', (e) => {
+            if (e.target.type === 'range') {
+                this.updateReaderSetting(e.target, { track: false });
+            }
+        });
+        panel.addEventListener('change', (e) => {
+            if (e.target.dataset.readerSetting) {
+                this.updateReaderSetting(e.target);
+            }
+        });
+
+        panel.querySelector('[data-reader-reset]').addEventListener('click', () => {
+            const wasFocused = settings.get().focusMode;
+            settings.reset();
+            this.renderReaderSettings();
+            if (wasFocused) {
+                this.applyFocusMode({ scroll: true });
+            }
+            this.trackInteraction('reader', 'reset');
+        });
+
+        panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.toggleReaderSettings(false);
+                toggle.focus();
+            }
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!panel.hidden && !panel.contains(e.target) && !toggle.contains(e.target)) {
+                this.toggleReaderSettings(false);
+            }
+        });
+
+        focusBar.addEventListener('click', (e) => {
+            const step = e.target.closest('[data-focus-step]')?.dataset.focusStep;
+            if (step) {
+                this.stepFocusSection(Number(step));
+            } else if (e.target.closest('[data-focus-exit]')) {
+                settings.update({ focusMode: false });
+                this.renderReaderSettings();
+                this.applyFocusMode({ scroll: true });
+                this.trackInteraction('reader', 'focusMode', 'false');
+            }
+        });
+
+        this.renderReaderSettings();
+    }
+
+    toggleReaderSettings(open) {
+        const panel = document.getElementById('readerSettingsPanel');
+        const toggle = document.getElementById('readerSettingsToggle');
+        if (!panel) return;
+
+        panel.hidden = open === undefined ? !panel.hidden : !open;
+        toggle.setAttribute('aria-expanded', String(!panel.hidden));
+
+        if (!panel.hidden) {
+            panel.querySelector('[data-reader-setting]').focus();
+        }
+    }
+
+    updateReaderSetting(control, { track = true } = {}) {
+        const key = control.dataset.readerSetting;
+        let value = control.value;
+        if (control.type === 'checkbox') {
+            value = control.checked;
+        } else if (control.type === 'range') {
+            value = Number(control.value);
+        }
+
+        window.readerSettings.update({ [key]: value });
+        this.renderReaderSettings();
+
+        if (key === 'focusMode') {
+            this.applyFocusMode({ scroll: true });
+        }
+        if (track) {
+            this.trackInteraction('reader', key, String(value));
+        }
+    }
+
+    renderReaderSettings() {
+        const panel = document.getElementById('readerSettingsPanel');
+        if (!panel || !window.readerSettings) return;
+
+        const settings = window.readerSettings.get();
+
+        panel.querySelectorAll('[data-reader-setting]').forEach(control => {
+            const value = settings[control.dataset.readerSetting];
+            if (control.type === 'checkbox') {
+                control.checked = value;
+            } else {
+                control.value = String(value);
+            }
+        });
+
+        document.getElementById('readerFontScaleValue').textContent = `${Math.round(settings.fontScale * 100)}%`;
+    }
+
+    isFocusMode() {
+        return Boolean(window.readerSettings?.get().focusMode);
+    }
+
+    /**
+     * Focus mode shows one section at a time. The stylesheet only hides the
+     * other sections once one is marked active, so a page whose script never
+     * runs still shows everything.
+     */
+    applyFocusMode({ scroll = false } = {}) {
+        const enabled = this.isFocusMode();
+        const sectionId = this.getFocusStartSection();
+
+        document.body.classList.toggle('focus-ready', enabled);
+
+        if (enabled) {
+            this.setFocusSection(sectionId);
+        } else {
+            this.sections.forEach(section => section.element.classList.remove('focus-active'));
+        }
+
+        if (scroll && sectionId) {
+            this.scrollToSection(sectionId);
+        }
+    }
+
+    getFocusStartSection() {
+        const hashTarget = window.location.hash.length > 1 &&
+            document.getElementById(window.location.hash.slice(1));
+        const hashSection = hashTarget?.closest?.('.guide-section');
+
+        return hashSection?.id ||
+            this.currentSection ||
+            this.lastPosition?.sectionId ||
+            this.sections[0]?.id ||
+            null;
+    }
+
+    setFocusSection(sectionId) {
+        const index = this.sections.findIndex(section => section.id === sectionId);
+        if (index === -1) return;
+
+        this.sections.forEach((section, i) => {
+            section.element.classList.toggle('focus-active', i === index);
+        });
+
+        const focusBar = document.getElementById('focusBar');
+        if (focusBar) {
+            document.getElementById('focusBarTitle').textContent =
+                `${this.sections[index].title.replace(/\s+/g, ' ')} (${index + 1} of ${this.sections.length})`;
+            focusBar.querySelector('[data-focus-step="-1"]').disabled = index === 0;
+            focusBar.querySelector('[data-focus-step="1"]').disabled = index === this.sections.length - 1;
+        }
+
+        this.setActiveSection(sectionId);
+    }
+
+    /**
+     * Switches focus mode to the section holding an element before anything
+     * scrolls to it; hidden sections have no position to scroll to
+     */
+    revealInFocusMode(element) {
+        if (!this.isFocusMode()) return;
+
+        const section = element.closest('.guide-section');
+        if (section && !section.classList.contains('focus-active')) {
+            this.setFocusSection(section.id);
+        }
+    }
+
+    stepFocusSection(step) {
+        const index = this.sections.findIndex(section => section.id === this.currentSection);
+        const next = this.sections[index + step];
+        if (!next) return;
+
+        this.scrollToSection(next.id);
+        this.trackNavigation(next.id);
     }
 
     // Analytics and Tracking
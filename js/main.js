@@ -27,6 +27,7 @@ class LoveMoneyApp {
         this.initAnalytics();
         this.setupEventListeners();
         this.initPerformanceMonitoring();
+        this.initHeadingAnchors();
 
         console.log('LoveMoney.help initialized successfully');
     }
@@ -220,17 +221,17 @@ class LoveMoneyApp {
 
     // Game Functions
     reloadGame() {
-        const iframe = document.getElementById('gameFrame');
-        const loadingOverlay = document.getElementById('loadingOverlay');
-
-        if (iframe && loadingOverlay) {
-            loadingOverlay.classList.remove('hidden');
-            iframe.classList.add('loading');
-            iframe.src = iframe.src; // Reload iframe
-
-            this.trackEvent('Game', 'reload');
-            this.updateStatus('🔄 Reloading game...', 'loading');
+        const embed = window.gameEmbedHandler;
+        if (!embed) return;
+
+        // A game that supports the restart command starts over without reloading the frame
+        if (embed.protocol?.supports('restart')) {
+            embed.restartGame().catch(() => embed.forceReload());
+            this.updateStatus('🔄 Restarting game...', 'loading');
+            return;
         }
+
+        embed.forceReload();
     }
 
     toggleFullscreen() {
@@ -274,19 +275,22 @@ class LoveMoneyApp {
         this.trackEvent('Game', 'fullscreen_exit');
     }
 
+    getGameUrl() {
+        // The embed knows which source is working; otherwise start from the remembered one
+        return window.gameEmbedHandler?.getGameUrl() || window.gameSources?.getActive()?.url;
+    }
+
     openInNewTab() {
-        window.open('https://lovemoneygame.io/lovemoney.embed', '_blank', 'noopener,noreferrer');
+        window.open(this.getGameUrl(), '_blank', 'noopener,noreferrer');
         this.trackEvent('Game', 'open_new_tab');
     }
 
     // Sharing Functions
-    shareGame() {
-        const shareData = {
-            title: 'LoveMoney - Interactive Moral Choice Game',
-            text: 'Test your moral boundaries in this unique clicking game. Meet Harvey and discover how far you\'ll go for money.',
-            url: window.location.href
-        };
-
+    shareGame(shareData = {
+        title: 'LoveMoney - Interactive Moral Choice Game',
+        text: 'Test your moral boundaries in this unique clicking game. Meet Harvey and discover how far you\'ll go for money.',
+        url: window.location.href
+    }) {
         if (navigator.share) {
             navigator.share(shareData).then(() => {
                 this.trackEvent('Social', 'native_share');
@@ -342,6 +346,7 @@ class LoveMoneyApp {
         const statusIcon = statusBar?.querySelector('.status-icon');
 
         if (statusBar && statusText) {
+            statusBar.style.display = '';
             statusText.textContent = message;
             statusBar.className = `status-bar ${type}`;
 
@@ -359,21 +364,33 @@ class LoveMoneyApp {
         }
     }
 
+    renderRetryStatus(event) {
+        const progress = `(${event.attempt}/${event.maxAttempts})`;
+
+        switch (event.type) {
+            case 'scheduled':
+                this.updateStatus(`🔄 Retrying in ${Math.ceil(event.delay / 1000)}s... ${progress}`, 'loading');
+                break;
+            case 'offline':
+                this.updateStatus(`📡 Offline - will retry when the connection returns ${progress}`, 'warning');
+                break;
+            case 'attempt':
+                this.updateStatus(`🔄 Retrying... ${progress}`, 'loading');
+                break;
+        }
+    }
+
     // Performance Monitoring
     initPerformanceMonitoring() {
         // Monitor Core Web Vitals
         this.observePerformance();
 
-        // Monitor iframe loading
-        const iframe = document.getElementById('gameFrame');
-        if (iframe) {
-            iframe.addEventListener('load', () => {
-                this.onGameLoaded();
-            });
-
-            iframe.addEventListener('error', () => {
-                this.onGameError();
-            });
+        // Game loading is watched by GameEmbedHandler; the status bar and
+        // analytics follow its lifecycle rather than the iframe itself
+        const embed = window.gameEmbedHandler;
+        if (embed?.lifecycle) {
+            embed.lifecycle.subscribe((change) => this.onGameStateChange(change));
+            embed.retryPolicy.subscribe((event) => this.renderRetryStatus(event));
         }
     }
 
@@ -409,60 +426,43 @@ class LoveMoneyApp {
         }
     }
 
-    onGameLoaded() {
-        const loadTime = performance.now() - this.startTime;
-        const loadingOverlay = document.getElementById('loadingOverlay');
-        const iframe = document.getElementById('gameFrame');
-
-        if (loadingOverlay) {
-            setTimeout(() => {
-                loadingOverlay.classList.add('hidden');
-            }, 500);
-        }
-
-        if (iframe) {
-            iframe.classList.remove('loading');
-            iframe.classList.add('loaded');
-        }
+    onGameStateChange({ to, detail }) {
+        this.gameLoaded = to === 'ready' || to === 'completed';
 
-        this.gameLoaded = true;
-        this.updateStatus('✅ Game loaded successfully!', 'success');
-        this.trackTiming('Game', 'load_time', Math.round(loadTime));
-
-        // Hide status bar after 3 seconds
-        setTimeout(() => {
-            const statusBar = document.getElementById('statusBar');
-            if (statusBar) {
-                statusBar.style.display = 'none';
+        switch (to) {
+            case 'loading': {
+                const label = detail.source?.label;
+                this.updateStatus(label ? `🔄 Loading game from ${label}...` : '🔄 Loading game...', 'loading');
+                break;
             }
-        }, 3000);
-    }
-
-    onGameError() {
-        const loadingOverlay = document.getElementById('loadingOverlay');
-
-        if (loadingOverlay) {
-            loadingOverlay.innerHTML = `
-                <div class="game-error">
-                    <div class="error-icon">⚠️</div>
-                    <div class="error-title">Game Loading Failed</div>
-                    <div class="error-message">
-                        Unable to load the LoveMoney game. Please check your internet connection and try again.
-                    </div>
-                    <div class="error-actions">
-                        <button onclick="window.loveMoneyApp.reloadGame()" class="error-btn">
-                            🔄 Try Again
-                        </button>
-                        <a href="https://lovemoneygame.io/lovemoney.embed" target="_blank" class="error-btn">
-                            🔗 Open Direct
-                        </a>
-                    </div>
-                </div>
-            `;
+            case 'ready':
+                if (detail.restarted) break;
+
+                this.updateStatus(`✅ Game loaded from ${detail.source?.label || 'the game host'}`, 'success');
+                this.trackEvent('Game', 'load_success', detail.source?.id);
+                // From page start, so time lost to retries and failover counts too
+                this.trackTiming('Game', 'load_time', Math.round(performance.now() - this.startTime));
+
+                // Hide status bar after 3 seconds
+                setTimeout(() => {
+                    const statusBar = document.getElementById('statusBar');
+                    if (statusBar && this.gameLoaded) {
+                        statusBar.style.display = 'none';
+                    }
+                }, 3000);
+                break;
+            case 'retrying':
+                // The retry policy's own events say when the next attempt runs
+                this.trackEvent('Game', 'load_error', detail.message);
+                break;
+            case 'errored':
+                this.updateStatus('❌ Failed to load game', 'error');
+                this.trackEvent('Game', 'load_error', detail.message);
+                break;
+            case 'completed':
+                this.trackEvent('Game', 'complete', detail.ending);
+                break;
         }
-
-        this.updateStatus('❌ Failed to load game', 'error');
-        this.trackEvent('Game', 'load_error');
     }
 
     // Utility Functions
@@ -492,6 +492,50 @@ class LoveMoneyApp {
         }
     }
 
+    // Heading Anchors (deep links from site search)
+    initHeadingAnchors() {
+        this.assignHeadingAnchors(document);
+
+        // The browser looked for the hash before these ids existed
+        const target = window.location.hash && document.getElementById(decodeURIComponent(window.location.hash.slice(1)));
+        if (target) {
+            target.scrollIntoView();
+        }
+    }
+
+    /**
+     * Gives every content heading a stable id derived from its text.
+     * Site search runs the same pass over fetched pages so its links match.
+     */
+    assignHeadingAnchors(root) {
+        const used = new Set(Array.from(root.querySelectorAll('[id]'), element => element.id));
+        const headings = root.querySelectorAll('main h2, main h3');
+
+        headings.forEach(heading => {
+            if (heading.id) return;
+
+            const base = this.slugify(heading.textContent) || 'section';
+            let id = base;
+            for (let suffix = 2; used.has(id); suffix++) {
+                id = `${base}-${suffix}`;
+            }
+
+            heading.id = id;
+            used.add(id);
+        });
+
+        return headings;
+    }
+
+    slugify(text) {
+        return text
+            .toLowerCase()
+            .normalize('NFKD')
+            .replace(/[^\p{L}\p{N}\s-]/gu, '')
+            .trim()
+            .replace(/[\s-]+/g, '-');
+    }
+
     debounce(func, wait) {
         let timeout;
         return function executedFunction(...args) {
@@ -0,0 +1,232 @@
+/**
+ * Upgrade Path Chart
+ * Dependency-free SVG chart of money, earnings and moral score over a simulated path
+ */
+
+class PathChart {
+    constructor(container) {
+        this.container = container;
+        this.width = 640;
+        this.height = 380;
+        this.margin = { left: 56, right: 56 };
+        this.moneyPanel = { top: 24, bottom: 200 };
+        this.moralPanel = { top: 232, bottom: 340 };
+        this.colors = ['#6366f1', '#ec4899', '#f59e0b', '#10b981', '#0ea5e9', '#8b5cf6', '#ef4444', '#64748b'];
+        this.hiddenSeries = new Set();
+        this.paths = [];
+        this.tooltip = null;
+
+        this.setupInteractions();
+    }
+
+    /**
+     * paths: calculator results carrying a `timeline` of points
+     * bands: ending bands ({ type, min, max }) drawn behind the moral panel
+     */
+    render(paths, { bands = [] } = {}) {
+        const series = paths.filter(path => Array.isArray(path.timeline) && path.timeline.length > 1);
+        if (series.length === 0) {
+            this.container.innerHTML = '';
+            return;
+        }
+
+        this.paths = series;
+        this.hiddenSeries.clear();
+        this.scales = this.createScales(series);
+
+        this.container.innerHTML = `
+            <div class="path-chart-legend">
+                ${series.map((path, index) => `
+                    <button type="button" class="legend-item" data-series-toggle="${index}" aria-pressed="true">
+                        <span class="legend-swatch" style="background: ${this.getColor(index)}"></span>
+                        ${path.label || (index === 0 ? 'Recommended' : `Alternative ${index}`)}
+                    </button>
+                `).join('')}
+                <span class="legend-key">— money earned &nbsp; ┄ $ per click</span>
+            </div>
+            <svg class="path-chart-svg" viewBox="0 0 ${this.width} ${this.height}" role="img"
+                 aria-label="Money, earnings per click and moral score against clicks for each strategy">
+                ${this.renderBands(bands)}
+                ${this.renderAxes()}
+                ${series.map((path, index) => this.renderSeries(path, index)).join('')}
+            </svg>
+            <div class="chart-tooltip" role="tooltip" hidden></div>
+        `;
+
+        this.tooltip = this.container.querySelector('.chart-tooltip');
+    }
+
+    createScales(series) {
+        const points = series.flatMap(path => path.timeline);
+        const maxClicks = this.niceMax(Math.max(...points.map(point => point.clicks)));
+        const maxMoney = this.niceMax(Math.max(...points.map(point => point.earned)));
+        const maxRate = this.niceMax(Math.max(...points.map(point => point.earnings)));
+        const minMoral = Math.min(0, ...points.map(point => point.moral));
+        const maxMoral = Math.max(100, ...points.map(point => point.moral));
+        const plotWidth = this.width - this.margin.left - this.margin.right;
+
+        const round = value => Math.round(value * 10) / 10;
+        const linear = (panel, min, max) => value =>
+            round(panel.bottom - ((value - min) / (max - min || 1)) * (panel.bottom - panel.top));
+
+        return {
+            maxClicks, maxMoney, maxRate, minMoral, maxMoral,
+            x: clicks => round(this.margin.left + (clicks / (maxClicks || 1)) * plotWidth),
+            money: linear(this.moneyPanel, 0, maxMoney),
+            rate: linear(this.moneyPanel, 0, maxRate),
+            moral: linear(this.moralPanel, minMoral, maxMoral)
+        };
+    }
+
+    niceMax(value) {
+        if (value <= 0) return 1;
+
+        const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+        const step = [1, 2, 5, 10].find(multiple => multiple * magnitude >= value);
+        return step * magnitude;
+    }
+
+    renderBands(bands) {
+        const { moral, minMoral, maxMoral } = this.scales;
+        const left = this.margin.left;
+        const width = this.width - this.margin.left - this.margin.right;
+
+        return bands.map(band => {
+            const top = moral(Math.min(maxMoral, band.max === Infinity ? maxMoral : band.max + 1));
+            const bottom = moral(Math.max(minMoral, band.min === -Infinity ? minMoral : band.min));
+            const slug = band.type.toLowerCase().replace(' ', '-');
+
+            return `
+                <g class="chart-band ${slug}">
+                    <rect x="${left}" y="${top}" width="${width}" height="${Math.max(0, Math.round((bottom - top) * 10) / 10)}"></rect>
+                    <text x="${left + width - 4}" y="${top + 12}" text-anchor="end">${band.type}</text>
+                </g>
+            `;
+        }).join('');
+    }
+
+    renderAxes() {
+        const { x, money, rate, moral, maxClicks, maxMoney, maxRate, minMoral, maxMoral } = this.scales;
+        const left = this.margin.left;
+        const right = this.width - this.margin.right;
+        const ticks = (max, min = 0) => [0, 0.25, 0.5, 0.75, 1].map(step => min + (max - min) * step);
+
+        return `
+            <g class="chart-axes">
+                ${ticks(maxMoney).map(value => `
+                    <line class="grid" x1="${left}" x2="${right}" y1="${money(value)}" y2="${money(value)}"></line>
+                    <text x="${left - 6}" y="${money(value) + 4}" text-anchor="end">$${this.formatCompact(value)}</text>
+                `).join('')}
+                ${ticks(maxRate).map(value => `
+                    <text x="${right + 6}" y="${rate(value) + 4}">$${this.formatCompact(value)}/c</text>
+                `).join('')}
+                ${ticks(maxMoral, minMoral).map(value => `
+                    <text x="${left - 6}" y="${moral(value) + 4}" text-anchor="end">${Math.round(value)}</text>
+                `).join('')}
+                ${ticks(maxClicks).map(value => `
+                    <text x="${x(value)}" y="${this.moralPanel.bottom + 18}" text-anchor="middle">${this.formatCompact(value)}</text>
+                `).join('')}
+                <text class="axis-title" x="${left}" y="${this.moneyPanel.top - 8}">Money</text>
+                <text class="axis-title" x="${left}" y="${this.moralPanel.top - 8}">Moral score</text>
+                <text class="axis-title" x="${(left + right) / 2}" y="${this.height - 6}" text-anchor="middle">Clicks</text>
+            </g>
+        `;
+    }
+
+    renderSeries(path, index) {
+        const { x, money, rate, moral } = this.scales;
+        const color = this.getColor(index);
+        const line = (project) => path.timeline.map(point => `${x(point.clicks)},${project(point)}`).join(' ');
+
+        const purchases = path.timeline
+            .map((point, pointIndex) => ({ point, pointIndex }))
+            .filter(({ point }) => point.purchase);
+
+        return `
+            <g class="chart-series" data-series="${index}" style="--series-color: ${color}">
+                <polyline class="series-money" points="${line(point => money(point.earned))}"></polyline>
+                <polyline class="series-rate" points="${line(point => rate(point.earnings))}"></polyline>
+                <polyline class="series-moral" points="${line(point => moral(point.moral))}"></polyline>
+                ${purchases.map(({ point, pointIndex }) => `
+                    <circle class="series-point" cx="${x(point.clicks)}" cy="${money(point.earned)}" r="5"
+                            tabindex="0" data-point="${index}:${pointIndex}"></circle>
+                    <circle class="series-point" cx="${x(point.clicks)}" cy="${moral(point.moral)}" r="4"
+                            tabindex="-1" data-point="${index}:${pointIndex}"></circle>
+                `).join('')}
+            </g>
+        `;
+    }
+
+    setupInteractions() {
+        const showFor = (target) => {
+            const marker = target.closest?.('[data-point]');
+            if (marker) this.showTooltip(marker);
+        };
+
+        this.container.addEventListener('mouseover', (e) => showFor(e.target));
+        this.container.addEventListener('focusin', (e) => showFor(e.target));
+        this.container.addEventListener('mouseout', (e) => {
+            if (e.target.closest?.('[data-point]')) this.hideTooltip();
+        });
+        this.container.addEventListener('focusout', () => this.hideTooltip());
+
+        this.container.addEventListener('click', (e) => {
+            const toggle = e.target.closest('[data-series-toggle]');
+            if (toggle) this.toggleSeries(parseInt(toggle.dataset.seriesToggle), toggle);
+        });
+    }
+
+    showTooltip(marker) {
+        if (!this.tooltip || !this.paths) return;
+
+        const [seriesIndex, pointIndex] = marker.dataset.point.split(':').map(Number);
+        const point = this.paths[seriesIndex]?.timeline[pointIndex];
+        if (!point || !point.purchase) return;
+
+        this.tooltip.innerHTML = `
+            <strong>${point.purchase.name}</strong> at click ${point.clicks.toLocaleString()}<br>
+            Cost: $${point.purchase.cost.toLocaleString()} • Now $${point.earnings}/click<br>
+            Money earned: $${point.earned.toLocaleString()} • On hand: $${point.money.toLocaleString()}<br>
+            Moral: ${point.moral} (${point.purchase.moralImpact})
+        `;
+        this.tooltip.hidden = false;
+
+        const containerBox = this.container.getBoundingClientRect();
+        const markerBox = marker.getBoundingClientRect();
+        this.tooltip.style.left = `${markerBox.left - containerBox.left + markerBox.width / 2}px`;
+        this.tooltip.style.top = `${markerBox.top - containerBox.top}px`;
+    }
+
+    hideTooltip() {
+        if (this.tooltip) {
+            this.tooltip.hidden = true;
+        }
+    }
+
+    toggleSeries(index, toggle) {
+        const group = this.container.querySelector(`[data-series="${index}"]`);
+        if (!group) return;
+
+        if (this.hiddenSeries.has(index)) {
+            this.hiddenSeries.delete(index);
+        } else {
+            this.hiddenSeries.add(index);
+        }
+
+        const hidden = this.hiddenSeries.has(index);
+        group.classList.toggle('is-hidden', hidden);
+        toggle.setAttribute('aria-pressed', String(!hidden));
+    }
+
+    getColor(index) {
+        return this.colors[index % this.colors.length];
+    }
+
+    formatCompact(value) {
+        if (value >= 1000000) return `${Math.round(value / 100000) / 10}M`;
+        if (value >= 1000) return `${Math.round(value / 100) / 10}k`;
+        return String(Math.round(value * 10) / 10);
+    }
+}
+
+window.PathChart = PathChart;
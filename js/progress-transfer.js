@@ -0,0 +1,365 @@
+/**
+ * Progress Transfer
+ * Packs reading progress, saved calculator scenarios, notes and preferences into a
+ * JSON file or a compact code that fits in a QR code, and validates and
+ * merges them back in on another device.
+ */
+
+class ProgressTransfer {
+    constructor() {
+        this.format = 'lovemoney-guide-export';
+        this.version = 1;
+        this.compactPrefix = 'LM1:';
+        // QR alphanumeric mode character set, so compact codes stay small as QR codes
+        this.base45Chars = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+        this.maxScenarios = 20;
+    }
+
+    // Export
+    createBundle({ readingProgress = {}, lastPosition = null, scenarios = [], annotations = {}, preferences = {} }) {
+        return {
+            format: this.format,
+            version: this.version,
+            exportedAt: new Date().toISOString(),
+            readingProgress: {
+                sections: readingProgress,
+                lastPosition
+            },
+            scenarios,
+            annotations,
+            preferences
+        };
+    }
+
+    toJSON(bundle) {
+        return JSON.stringify(bundle, null, 2);
+    }
+
+    /**
+     * Short field names and rounded numbers keep the code under a few hundred
+     * characters for a fully read guide
+     */
+    toCompact(bundle) {
+        const { sections, lastPosition } = bundle.readingProgress;
+        const { clickRate, analyticsDisabled } = bundle.preferences;
+
+        const compact = {
+            v: this.version,
+            p: Object.entries(sections).map(([id, entry]) => [
+                id,
+                // Flags: 1 = read, 2 = quiz mastered
+                (entry.read ? 1 : 0) | (entry.mastered ? 2 : 0),
+                Math.round((entry.depth || 0) * 100),
+                Math.round((entry.dwell || 0) / 1000),
+                // Best quiz score as a whole percentage, null before the first attempt
+                Number.isFinite(entry.quizScore) ? Math.round(entry.quizScore * 100) : null
+            ]),
+            l: lastPosition ? [
+                lastPosition.sectionId,
+                Math.round(lastPosition.offset * 1000),
+                Math.round((lastPosition.timestamp || 0) / 1000)
+            ] : 0,
+            s: bundle.scenarios.map(scenario => [scenario.name, scenario.params.replace(/^calc:/, '')]),
+            n: Object.entries(bundle.annotations || {}).map(([id, entry]) => [
+                id,
+                entry.bookmarked ? 1 : 0,
+                entry.note,
+                entry.title,
+                Math.round((entry.updatedAt || 0) / 1000)
+            ]),
+            c: clickRate ? [clickRate.profile, clickRate.measuredRate || 0] : 0,
+            a: analyticsDisabled ? 1 : 0
+        };
+
+        return this.compactPrefix + this.encodeBase45(new TextEncoder().encode(JSON.stringify(compact)));
+    }
+
+    // Import
+    /**
+     * Accepts either export format and returns a validated bundle.
+     * Throws with a readable message when the data can't be used at all.
+     */
+    parse(text) {
+        const input = String(text || '').replace(/^\s+/, '').replace(/[\r\n]+$/, '');
+        if (!input) {
+            throw new Error('Paste an export code or choose an export file first.');
+        }
+
+        if (input.toUpperCase().startsWith(this.compactPrefix)) {
+            return this.validate(this.fromCompact(input.slice(this.compactPrefix.length).toUpperCase()));
+        }
+
+        let data;
+        try {
+            data = JSON.parse(input);
+        } catch (e) {
+            throw new Error('This does not look like a LoveMoney.help export.');
+        }
+        return this.validate(data);
+    }
+
+    fromCompact(code) {
+        let compact;
+        try {
+            compact = JSON.parse(new TextDecoder().decode(this.decodeBase45(code)));
+        } catch (e) {
+            throw new Error('The export code is incomplete or was mistyped.');
+        }
+
+        if (!compact || compact.v !== this.version) {
+            throw new Error('This export code comes from a newer version of the guide.');
+        }
+
+        // Tuples that aren't arrays can't be read; validate() drops anything else malformed
+        const tuples = list => (Array.isArray(list) ? list : []).filter(entry => Array.isArray(entry));
+
+        const sections = {};
+        tuples(compact.p).forEach(([id, flags, depth, dwell, quizScore]) => {
+            sections[id] = { read: (flags & 1) === 1, mastered: (flags & 2) === 2, depth: depth / 100, dwell: dwell * 1000 };
+            if (typeof quizScore === 'number') {
+                sections[id].quizScore = quizScore / 100;
+            }
+        });
+
+        return {
+            format: this.format,
+            version: compact.v,
+            readingProgress: {
+                sections,
+                lastPosition: Array.isArray(compact.l) ?
+                    { sectionId: compact.l[0], offset: compact.l[1] / 1000, timestamp: (compact.l[2] || 0) * 1000 } : null
+            },
+            scenarios: tuples(compact.s).map(([name, params]) => ({ name, params: `calc:${params}` })),
+            annotations: Object.fromEntries(tuples(compact.n).map(([id, bookmarked, note, title, updatedAt]) => [
+                id,
+                { bookmarked: bookmarked === 1, note, title, updatedAt: (updatedAt || 0) * 1000 }
+            ])),
+            preferences: {
+                clickRate: Array.isArray(compact.c) ? { profile: compact.c[0], measuredRate: compact.c[1] || null } : null,
+                analyticsDisabled: compact.a === 1
+            }
+        };
+    }
+
+    /**
+     * Keeps only well-formed entries. Unknown sections or fields (from another
+     * version of the guide) are dropped rather than rejecting the whole import.
+     */
+    validate(data) {
+        if (!data || data.format !== this.format) {
+            throw new Error('This does not look like a LoveMoney.help export.');
+        }
+        if (data.version !== this.version) {
+            throw new Error('This export comes from a newer version of the guide.');
+        }
+
+        const isFiniteNumber = value => typeof value === 'number' && Number.isFinite(value);
+        const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+        const sections = {};
+
+        Object.entries(data.readingProgress?.sections || {}).forEach(([id, entry]) => {
+            if (!/^[a-z0-9-]+$/i.test(id) || !entry || typeof entry !== 'object') return;
+
+            sections[id] = {
+                read: entry.read === true,
+                depth: isFiniteNumber(entry.depth) ? clamp(entry.depth, 0, 1) : 0,
+                dwell: isFiniteNumber(entry.dwell) ? clamp(Math.round(entry.dwell), 0, 24 * 60 * 60 * 1000) : 0,
+                timestamp: isFiniteNumber(entry.timestamp) ? entry.timestamp : Date.now()
+            };
+            if (isFiniteNumber(entry.readAt)) {
+                sections[id].readAt = entry.readAt;
+            }
+            if (entry.mastered === true) {
+                sections[id].mastered = true;
+            }
+            if (isFiniteNumber(entry.quizScore)) {
+                sections[id].quizScore = clamp(entry.quizScore, 0, 1);
+            }
+        });
+
+        const position = data.readingProgress?.lastPosition;
+        const lastPosition = position && typeof position.sectionId === 'string' && isFiniteNumber(position.offset) ? {
+            sectionId: position.sectionId,
+            offset: clamp(position.offset, 0, 1),
+            timestamp: isFiniteNumber(position.timestamp) ? position.timestamp : 0
+        } : null;
+
+        const scenarios = (Array.isArray(data.scenarios) ? data.scenarios : [])
+            .filter(scenario => scenario && typeof scenario.params === 'string' && /^calc:[\w%.+=&-]*$/.test(scenario.params))
+            .slice(0, this.maxScenarios)
+            .map(scenario => ({
+                name: typeof scenario.name === 'string' && scenario.name.trim() ?
+                    scenario.name.trim().slice(0, 80) : 'Imported scenario',
+                params: scenario.params,
+                savedAt: isFiniteNumber(scenario.savedAt) ? scenario.savedAt : Date.now()
+            }));
+
+        const annotations = {};
+        Object.entries(data.annotations && typeof data.annotations === 'object' ? data.annotations : {}).forEach(([id, entry]) => {
+            if (!/^[a-z0-9-]+$/i.test(id) || !entry || typeof entry !== 'object') return;
+
+            const note = typeof entry.note === 'string' ? entry.note.trim().slice(0, 2000) : '';
+            if (entry.bookmarked !== true && !note) return;
+
+            annotations[id] = {
+                bookmarked: entry.bookmarked === true,
+                note,
+                title: typeof entry.title === 'string' && entry.title.trim() ? entry.title.trim().slice(0, 120) : id,
+                updatedAt: isFiniteNumber(entry.updatedAt) ? entry.updatedAt : 0
+            };
+        });
+
+        const clickRate = data.preferences?.clickRate;
+        const preferences = {
+            clickRate: clickRate && typeof clickRate.profile === 'string' ? {
+                profile: clickRate.profile,
+                measuredRate: isFiniteNumber(clickRate.measuredRate) && clickRate.measuredRate > 0 ?
+                    clamp(clickRate.measuredRate, 0.1, 100) : null
+            } : null,
+            analyticsDisabled: data.preferences?.analyticsDisabled === true
+        };
+
+        return { format: this.format, version: this.version, readingProgress: { sections, lastPosition }, scenarios, annotations, preferences };
+    }
+
+    /**
+     * Combines imported data with what is already on this device without
+     * losing anything: sections keep the furthest progress from either side
+     * and scenarios are de-duplicated by their settings.
+     */
+    merge(current, incoming) {
+        const sections = { ...current.readingProgress.sections };
+
+        Object.entries(incoming.readingProgress.sections).forEach(([id, entry]) => {
+            const existing = sections[id];
+            if (!existing) {
+                sections[id] = { ...entry };
+                return;
+            }
+
+            const readAt = [existing.readAt, entry.readAt].filter(value => value !== undefined);
+            sections[id] = {
+                read: existing.read || entry.read,
+                depth: Math.max(existing.depth || 0, entry.depth || 0),
+                // Maximum rather than sum, so importing the same file twice changes nothing
+                dwell: Math.max(existing.dwell || 0, entry.dwell || 0),
+                timestamp: Math.max(existing.timestamp || 0, entry.timestamp || 0)
+            };
+            if (readAt.length > 0) {
+                sections[id].readAt = Math.min(...readAt);
+            }
+            if (existing.mastered || entry.mastered) {
+                sections[id].mastered = true;
+            }
+            if (existing.quizScore !== undefined || entry.quizScore !== undefined) {
+                sections[id].quizScore = Math.max(existing.quizScore || 0, entry.quizScore || 0);
+            }
+        });
+
+        const currentPosition = current.readingProgress.lastPosition;
+        const incomingPosition = incoming.readingProgress.lastPosition;
+        const lastPosition = !currentPosition ||
+            (incomingPosition && (incomingPosition.timestamp || 0) > (currentPosition.timestamp || 0)) ?
+            incomingPosition || currentPosition : currentPosition;
+
+        const scenarios = [...current.scenarios];
+        incoming.scenarios.forEach(scenario => {
+            if (!scenarios.some(existing => existing.params === scenario.params)) {
+                scenarios.push(scenario);
+            }
+        });
+
+        return {
+            ...current,
+            readingProgress: { sections, lastPosition },
+            scenarios: scenarios.slice(0, this.maxScenarios),
+            annotations: this.mergeAnnotations(current.annotations, incoming.annotations),
+            preferences: {
+                clickRate: this.mergeClickRate(current.preferences.clickRate, incoming.preferences.clickRate),
+                // An opt-out on either device stays in place
+                analyticsDisabled: current.preferences.analyticsDisabled || incoming.preferences.analyticsDisabled
+            }
+        };
+    }
+
+    /**
+     * A bookmark on either side is kept; when both sides have a note for
+     * the same place, the more recently edited one wins
+     */
+    mergeAnnotations(current = {}, incoming = {}) {
+        const annotations = { ...current };
+
+        Object.entries(incoming).forEach(([id, entry]) => {
+            const existing = annotations[id];
+            if (!existing) {
+                annotations[id] = { ...entry };
+                return;
+            }
+
+            const [newer, older] = (entry.updatedAt || 0) > (existing.updatedAt || 0) ? [entry, existing] : [existing, entry];
+            annotations[id] = {
+                ...newer,
+                bookmarked: existing.bookmarked || entry.bookmarked,
+                // Never lose a note to an entry that only has a bookmark
+                note: newer.note || older.note || '',
+                updatedAt: Math.max(existing.updatedAt || 0, entry.updatedAt || 0)
+            };
+        });
+
+        return annotations;
+    }
+
+    mergeClickRate(current, incoming) {
+        if (!incoming) return current;
+        if (!current) return incoming;
+
+        return {
+            profile: incoming.profile,
+            measuredRate: incoming.measuredRate || current.measuredRate
+        };
+    }
+
+    // Base45 (RFC 9285)
+    encodeBase45(bytes) {
+        const chars = this.base45Chars;
+        let output = '';
+
+        for (let i = 0; i < bytes.length; i += 2) {
+            if (i + 1 < bytes.length) {
+                const value = bytes[i] * 256 + bytes[i + 1];
+                output += chars[value % 45] + chars[Math.floor(value / 45) % 45] + chars[Math.floor(value / 2025)];
+            } else {
+                output += chars[bytes[i] % 45] + chars[Math.floor(bytes[i] / 45)];
+            }
+        }
+
+        return output;
+    }
+
+    decodeBase45(text) {
+        const values = Array.from(text, char => {
+            const value = this.base45Chars.indexOf(char);
+            if (value < 0) throw new Error(`Invalid character "${char}"`);
+            return value;
+        });
+
+        const bytes = [];
+        for (let i = 0; i < values.length; i += 3) {
+            const chunk = values.slice(i, i + 3);
+            if (chunk.length < 2) throw new Error('Truncated code');
+
+            const value = chunk[0] + chunk[1] * 45 + (chunk.length === 3 ? chunk[2] * 2025 : 0);
+            if (chunk.length === 3) {
+                if (value > 0xffff) throw new Error('Invalid code');
+                bytes.push(value >> 8, value & 0xff);
+            } else {
+                if (value > 0xff) throw new Error('Invalid code');
+                bytes.push(value);
+            }
+        }
+
+        return new Uint8Array(bytes);
+    }
+}
+
+window.progressTransfer = new ProgressTransfer();
@@ -0,0 +1,251 @@
+/**
+ * Quiz Engine
+ * Builds per-section comprehension quizzes from /data/quiz.json, mixing
+ * written questions with ones generated from the current upgrade table
+ */
+
+class QuizEngine {
+    constructor(url = '/data/quiz.json') {
+        this.url = url;
+        this.schemaVersion = 1;
+        this.sections = {};
+        this.passScore = 0.8;
+        this.questionsPerQuiz = 4;
+        this.loadPromise = null;
+
+        // Question generators named in the data file; each returns a question or null
+        this.generators = {
+            'upgrade-cost': (context) => this.generateUpgradeQuestion(context, {
+                key: 'cost',
+                prompt: upgrade => `How much does the ${upgrade.name} upgrade cost?`,
+                format: value => `$${value.toLocaleString()}`,
+                explain: upgrade => `${upgrade.name} costs $${upgrade.cost.toLocaleString()}.`
+            }),
+            'upgrade-earnings': (context) => this.generateUpgradeQuestion(context, {
+                key: 'earnings',
+                prompt: upgrade => `How much does each click earn after buying ${upgrade.name}?`,
+                format: value => `$${value.toLocaleString()} per click`,
+                explain: upgrade => `${upgrade.name} raises earnings to $${upgrade.earnings} per click.`
+            }),
+            'moral-penalty': (context) => this.generateUpgradeQuestion(context, {
+                key: 'moral',
+                prompt: upgrade => `How much does buying ${upgrade.name} change your moral score?`,
+                format: value => `${value} moral`,
+                explain: upgrade => `${upgrade.name} changes your moral score by ${upgrade.moral}.`
+            }),
+            'clicks-to-target': (context) => this.generateClicksQuestion(context),
+            'ending-threshold': (context) => this.generateEndingQuestion(context)
+        };
+    }
+
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.fetchData().catch(error => {
+                // Allow a later call to try again (e.g. after coming back online)
+                this.loadPromise = null;
+                throw error;
+            });
+        }
+
+        return this.loadPromise;
+    }
+
+    async fetchData() {
+        const response = await fetch(this.url);
+        if (!response.ok) {
+            throw new Error(`Quiz data request failed (${response.status})`);
+        }
+
+        this.applyData(await response.json());
+        return this;
+    }
+
+    applyData(data) {
+        if (!data || data.schemaVersion !== this.schemaVersion || !data.sections) {
+            throw new Error('Unsupported quiz data format');
+        }
+
+        this.passScore = typeof data.passScore === 'number' ? data.passScore : this.passScore;
+        this.questionsPerQuiz = data.questionsPerQuiz || this.questionsPerQuiz;
+        this.sections = {};
+
+        Object.entries(data.sections).forEach(([sectionId, section]) => {
+            const questions = (section.questions || []).filter(question => {
+                const errors = this.validateQuestion(question);
+                if (errors.length > 0) {
+                    console.warn(`Rejected quiz question "${question?.id}":`, errors);
+                }
+                return errors.length === 0;
+            });
+
+            const generators = (section.generators || []).filter(name => {
+                if (!this.generators[name]) {
+                    console.warn(`Unknown quiz generator "${name}" in section "${sectionId}"`);
+                }
+                return Boolean(this.generators[name]);
+            });
+
+            this.sections[sectionId] = { questions, generators };
+        });
+    }
+
+    validateQuestion(question) {
+        if (!question || typeof question !== 'object') {
+            return ['entry must be an object'];
+        }
+
+        const errors = [];
+
+        if (typeof question.id !== 'string' || !question.id) {
+            errors.push('id is required');
+        }
+        if (typeof question.prompt !== 'string' || !question.prompt.trim()) {
+            errors.push('prompt is required');
+        }
+        if (!Array.isArray(question.choices) || question.choices.length < 2 ||
+            question.choices.some(choice => typeof choice !== 'string')) {
+            errors.push('choices must be at least two strings');
+        } else if (!Number.isInteger(question.answer) || question.answer < 0 || question.answer >= question.choices.length) {
+            errors.push('answer must be the index of one of the choices');
+        }
+
+        return errors;
+    }
+
+    hasQuiz(sectionId) {
+        const section = this.sections[sectionId];
+        return Boolean(section) && (section.questions.length > 0 || section.generators.length > 0);
+    }
+
+    /**
+     * Picks questions for one section. context carries the live data the
+     * generators need: { upgrades, bands, formatBand, target }.
+     * Every question comes back with its choices shuffled.
+     */
+    createQuiz(sectionId, context = {}, count = this.questionsPerQuiz) {
+        const section = this.sections[sectionId];
+        if (!section) return [];
+
+        // Generated questions first so each quiz touches the current numbers
+        const generated = section.generators
+            .map(name => this.generators[name](context))
+            .filter(Boolean);
+        const written = this.shuffle(section.questions);
+
+        return [...generated, ...written]
+            .slice(0, count)
+            .map(question => this.shuffleChoices(question));
+    }
+
+    /**
+     * answers: chosen choice index per question, in quiz order
+     */
+    score(questions, answers) {
+        const results = questions.map((question, index) => ({
+            id: question.id,
+            chosen: answers[index],
+            correct: answers[index] === question.answer
+        }));
+        const correct = results.filter(result => result.correct).length;
+        const ratio = questions.length ? correct / questions.length : 0;
+
+        return {
+            correct,
+            total: questions.length,
+            ratio,
+            passed: ratio >= this.passScore,
+            results
+        };
+    }
+
+    // Generators
+    generateUpgradeQuestion({ upgrades = [] }, { key, prompt, format, explain }) {
+        // The starting upgrade is free and neutral, so it makes a poor question
+        const upgrade = this.pick(upgrades.slice(1));
+        if (!upgrade) return null;
+
+        const correct = upgrade[key];
+        const distractors = this.shuffle(Array.from(new Set(
+            upgrades.map(other => other[key]).filter(other => other !== correct)
+        ))).slice(0, 3);
+        if (distractors.length === 0) return null;
+
+        return this.buildQuestion({
+            id: `generated-${key}-${upgrade.id}`,
+            prompt: prompt(upgrade),
+            correct: format(correct),
+            distractors: distractors.map(format),
+            explanation: explain(upgrade)
+        });
+    }
+
+    generateClicksQuestion({ upgrades = [], target = 25000 }) {
+        const upgrade = this.pick(upgrades);
+        if (!upgrade) return null;
+
+        const clicks = value => Math.ceil(target / value);
+        const correct = clicks(upgrade.earnings);
+        const distractors = this.shuffle(Array.from(new Set(
+            upgrades.map(other => clicks(other.earnings)).filter(other => other !== correct)
+        ))).slice(0, 3);
+        if (distractors.length === 0) return null;
+
+        return this.buildQuestion({
+            id: `generated-clicks-${upgrade.id}`,
+            prompt: `Earning $${upgrade.earnings} per click (${upgrade.name}), how many clicks does $${target.toLocaleString()} take?`,
+            correct: correct.toLocaleString(),
+            distractors: distractors.map(value => value.toLocaleString()),
+            explanation: `$${target.toLocaleString()} ÷ $${upgrade.earnings} per click = ${correct.toLocaleString()} clicks.`
+        });
+    }
+
+    generateEndingQuestion({ bands = [], formatBand = band => `${band.min}-${band.max}` }) {
+        const band = this.pick(bands);
+        if (!band || bands.length < 2) return null;
+
+        return this.buildQuestion({
+            id: `generated-ending-${band.type.toLowerCase().replace(/\s+/g, '-')}`,
+            prompt: `Which final moral score gives the ${band.type} ending?`,
+            correct: formatBand(band),
+            distractors: bands.filter(other => other !== band).map(formatBand),
+            explanation: `The ${band.type} ending needs a final moral score of ${formatBand(band)}.`
+        });
+    }
+
+    buildQuestion({ id, prompt, correct, distractors, explanation }) {
+        return {
+            id,
+            prompt,
+            choices: [correct, ...distractors],
+            answer: 0,
+            explanation,
+            generated: true
+        };
+    }
+
+    // Helpers
+    shuffleChoices(question) {
+        const order = this.shuffle(question.choices.map((_, index) => index));
+
+        return {
+            ...question,
+            choices: order.map(index => question.choices[index]),
+            answer: order.indexOf(question.answer)
+        };
+    }
+
+    shuffle(items) {
+        const shuffled = [...items];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
+    pick(items) {
+        return items.length > 0 ? items[Math.floor(Math.random() * items.length)] : null;
+    }
+}
+
+window.quizEngine = new QuizEngine();
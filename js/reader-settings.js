@@ -0,0 +1,92 @@
+/**
+ * Reader Settings
+ * Per-device reading preferences for the guide: focus mode, text size,
+ * line spacing, a dyslexia-friendly font and high contrast. Loaded in the
+ * <head> so saved settings are on <html> before the page first paints.
+ */
+
+class ReaderSettings {
+    constructor() {
+        this.storageKey = 'reader-settings';
+        this.defaults = {
+            focusMode: false,
+            fontScale: 1,
+            lineSpacing: 'normal',
+            dyslexicFont: false,
+            highContrast: false
+        };
+        this.fontScaleRange = { min: 0.9, max: 1.5 };
+        // Multipliers on the stylesheet's own line heights
+        this.lineSpacings = {
+            compact: 0.9,
+            normal: 1,
+            relaxed: 1.2,
+            loose: 1.4
+        };
+
+        // With the IndexedDB fallback nothing is readable yet; load() runs again once storage is ready
+        this.load();
+    }
+
+    load() {
+        this.settings = this.normalize(window.siteStorage.get(this.storageKey, {}));
+        this.apply();
+        return this.get();
+    }
+
+    get() {
+        return { ...this.settings };
+    }
+
+    update(changes) {
+        this.settings = this.normalize({ ...this.settings, ...changes });
+        this.apply();
+        window.siteStorage.set(this.storageKey, this.settings);
+        return this.get();
+    }
+
+    reset() {
+        this.settings = { ...this.defaults };
+        this.apply();
+        window.siteStorage.remove(this.storageKey);
+        return this.get();
+    }
+
+    /**
+     * Saved settings come from an older version or another tab; anything
+     * unrecognised falls back to its default
+     */
+    normalize(saved) {
+        const settings = { ...this.defaults };
+        if (!saved || typeof saved !== 'object') return settings;
+
+        ['focusMode', 'dyslexicFont', 'highContrast'].forEach(key => {
+            if (typeof saved[key] === 'boolean') settings[key] = saved[key];
+        });
+
+        const fontScale = Number(saved.fontScale);
+        if (Number.isFinite(fontScale)) {
+            const { min, max } = this.fontScaleRange;
+            settings.fontScale = Math.round(Math.min(max, Math.max(min, fontScale)) * 100) / 100;
+        }
+
+        if (Object.prototype.hasOwnProperty.call(this.lineSpacings, saved.lineSpacing)) {
+            settings.lineSpacing = saved.lineSpacing;
+        }
+
+        return settings;
+    }
+
+    apply() {
+        const root = document.documentElement;
+        const { focusMode, fontScale, lineSpacing, dyslexicFont, highContrast } = this.settings;
+
+        root.classList.toggle('reader-focus', focusMode);
+        root.classList.toggle('reader-dyslexic', dyslexicFont);
+        root.classList.toggle('reader-high-contrast', highContrast);
+        root.style.setProperty('--reader-font-scale', fontScale);
+        root.style.setProperty('--reader-line-spacing', this.lineSpacings[lineSpacing]);
+    }
+}
+
+window.readerSettings = new ReaderSettings();
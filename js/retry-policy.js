@@ -0,0 +1,159 @@
+/**
+ * Retry Policy
+ * Exponential backoff with jitter and a hard cap on attempts. Retries wait
+ * while the browser is offline and resume when the connection returns.
+ * Everything the policy does is published as events, so the UI can show
+ * what is happening without knowing how the policy decides.
+ *
+ * Events: { type, attempt, maxAttempts, delay?, retryAt?, reason?, at }
+ *   scheduled  a retry will run after `delay` ms
+ *   offline    a retry is waiting for the connection to come back
+ *   attempt    a retry is running now
+ *   exhausted  no attempts left
+ *   reset      the attempt count went back to zero
+ */
+
+class RetryPolicy {
+    constructor({
+        maxAttempts = 3,
+        baseDelay = 1000,
+        maxDelay = 30000,
+        factor = 2,
+        jitter = 0.5,
+        isOnline = () => navigator.onLine,
+        random = Math.random
+    } = {}) {
+        this.maxAttempts = maxAttempts;
+        this.baseDelay = baseDelay;
+        this.maxDelay = maxDelay;
+        this.factor = factor;
+        this.jitter = jitter; // Fraction of each delay that is randomised, so clients don't retry in step
+        this.isOnline = isOnline;
+        this.random = random;
+        this.attempts = 0;
+        this.pending = null; // { task, reason } waiting on a timer or on the network
+        this.timer = null;
+        this.listeners = [];
+
+        window.addEventListener('offline', () => this.onOffline());
+        window.addEventListener('online', () => this.onOnline());
+    }
+
+    // Events
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(other => other !== listener);
+        };
+    }
+
+    emit(type, details = {}) {
+        const event = {
+            type,
+            attempt: this.attempts,
+            maxAttempts: this.maxAttempts,
+            at: Date.now(),
+            ...details
+        };
+
+        this.listeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (e) {
+                console.error('Retry policy listener failed:', e);
+            }
+        });
+    }
+
+    // Scheduling
+    canRetry() {
+        return this.attempts < this.maxAttempts;
+    }
+
+    /**
+     * Delay before the given attempt (1-based): doubles each time up to
+     * maxDelay, then loses up to `jitter` of itself at random
+     */
+    getDelay(attempt) {
+        const exponential = Math.min(this.maxDelay, this.baseDelay * this.factor ** (attempt - 1));
+        return Math.round(exponential * (1 - this.jitter * this.random()));
+    }
+
+    /**
+     * Queues task for the next attempt. Returns false, without queueing,
+     * once the attempts are used up. Only one retry is queued at a time;
+     * a newer one replaces it without using another attempt.
+     */
+    schedule(task, reason = null) {
+        if (this.pending) {
+            this.pending = { task, reason };
+            return true;
+        }
+
+        if (!this.canRetry()) {
+            this.emit('exhausted', { reason });
+            return false;
+        }
+
+        this.attempts++;
+        this.pending = { task, reason };
+        this.startTimer();
+        return true;
+    }
+
+    startTimer() {
+        if (!this.isOnline()) {
+            this.emit('offline', { reason: this.pending.reason });
+            return;
+        }
+
+        const delay = this.getDelay(this.attempts);
+        this.timer = setTimeout(() => this.run(), delay);
+        this.emit('scheduled', { delay, retryAt: Date.now() + delay, reason: this.pending.reason });
+    }
+
+    run() {
+        const { task } = this.pending;
+        this.timer = null;
+        this.pending = null;
+
+        this.emit('attempt');
+        task(this.attempts);
+    }
+
+    onOffline() {
+        if (!this.timer) return;
+
+        // The wait starts over once the connection is back
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.emit('offline', { reason: this.pending.reason });
+    }
+
+    onOnline() {
+        if (this.pending && !this.timer) {
+            this.startTimer();
+        }
+    }
+
+    cancel() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.pending = null;
+    }
+
+    /**
+     * Starts a fresh budget of attempts. Only call this after a success or
+     * when the player asks for a reload; a retry changing the frame's src
+     * must not reset it.
+     */
+    reset() {
+        this.cancel();
+        if (this.attempts === 0) return;
+
+        this.attempts = 0;
+        this.emit('reset');
+    }
+}
+
+window.RetryPolicy = RetryPolicy;
@@ -0,0 +1,51 @@
+/**
+ * Search History
+ * Recent guide searches, kept only on this device. Nothing is stored while
+ * analytics is switched off, so opting out also stops search history.
+ */
+
+class SearchHistory {
+    constructor() {
+        this.storageKey = 'search-history';
+        this.maxEntries = 8;
+    }
+
+    isEnabled() {
+        if (window.analytics) {
+            return window.analytics.isAnalyticsEnabled();
+        }
+
+        return !window.siteStorage.get('analytics-disabled', false);
+    }
+
+    getEntries() {
+        if (!window.siteStorage.isLoaded) return [];
+
+        if (!this.isEnabled()) {
+            // Drop anything saved before the visitor opted out
+            this.clear();
+            return [];
+        }
+
+        const saved = window.siteStorage.get(this.storageKey, []);
+        return Array.isArray(saved) ? saved.filter(entry => typeof entry === 'string') : [];
+    }
+
+    record(query) {
+        const normalized = query.trim().replace(/\s+/g, ' ');
+        if (!normalized || !this.isEnabled()) return;
+
+        const entries = [
+            normalized,
+            ...this.getEntries().filter(entry => entry.toLowerCase() !== normalized.toLowerCase())
+        ].slice(0, this.maxEntries);
+
+        window.siteStorage.set(this.storageKey, entries);
+    }
+
+    clear() {
+        window.siteStorage.remove(this.storageKey);
+    }
+}
+
+window.searchHistory = new SearchHistory();
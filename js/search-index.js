@@ -0,0 +1,510 @@
+/**
+ * Guide Search Index
+ * Inverted index with stemming, typo tolerance, BM25 ranking, phrase queries
+ * and highlighted snippets. Serializable so it can be cached for offline use.
+ */
+
+class SearchIndex {
+    constructor() {
+        this.formatVersion = 1;
+        this.fieldWeights = { title: 3, body: 1 };
+        this.k1 = 1.2;
+        this.b = 0.75;
+        this.stopWords = new Set([
+            'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have',
+            'how', 'if', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'so', 'than', 'that',
+            'the', 'their', 'then', 'there', 'these', 'this', 'to', 'was', 'what', 'when', 'which',
+            'while', 'who', 'will', 'with', 'you', 'your'
+        ]);
+
+        this.reset();
+    }
+
+    reset() {
+        this.docs = [];
+        this.postings = new Map();
+        this.surfaceForms = new Map(); // word as written → stem, for typo matching
+        this.fieldLengths = { title: [], body: [] };
+        this.averageLengths = { title: 0, body: 0 };
+    }
+
+    // Indexing
+    addDocument({ id, title = '', text = '', ...meta }) {
+        const docIndex = this.docs.length;
+        this.docs.push({ id, title, text, meta });
+
+        Object.entries({ title, body: text }).forEach(([field, value]) => {
+            const tokens = this.tokenize(value);
+            this.fieldLengths[field][docIndex] = tokens.length;
+
+            tokens.forEach((token, position) => {
+                if (!token.stop) {
+                    this.surfaceForms.set(token.word, token.term);
+                }
+
+                if (!this.postings.has(token.term)) {
+                    this.postings.set(token.term, new Map());
+                }
+
+                const termPostings = this.postings.get(token.term);
+                if (!termPostings.has(docIndex)) {
+                    termPostings.set(docIndex, { title: [], body: [] });
+                }
+                termPostings.get(docIndex)[field].push(position);
+            });
+        });
+
+        this.updateAverages();
+        return docIndex;
+    }
+
+    updateAverages() {
+        Object.keys(this.fieldLengths).forEach(field => {
+            const lengths = this.fieldLengths[field];
+            const total = lengths.reduce((sum, length) => sum + (length || 0), 0);
+            this.averageLengths[field] = lengths.length ? total / lengths.length : 0;
+        });
+    }
+
+    /**
+     * Splits text into stemmed terms, keeping character offsets for snippets.
+     * Stop words keep their position so phrase queries stay aligned.
+     */
+    tokenize(text) {
+        const tokens = [];
+        const pattern = /[\p{L}\p{N}]+(?:[',.][\p{L}\p{N}]+)*/gu;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            const word = match[0].toLowerCase().replace(/[',.]/g, '');
+            const isStopWord = this.stopWords.has(word);
+
+            tokens.push({
+                word,
+                term: isStopWord ? `~${word}` : this.stem(word),
+                stop: isStopWord,
+                start: match.index,
+                end: match.index + match[0].length
+            });
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Light suffix-stripping stemmer: enough to fold plurals, verb forms and
+     * -ity/-ness nouns together ("endings" → "end", "morality" → "moral").
+     */
+    stem(word) {
+        if (word.length <= 3 || /^\d+$/.test(word)) return word;
+
+        let stem = word;
+        const rules = [
+            [/ies$/, 'y'],
+            [/sses$/, 'ss'],
+            [/([^su])s$/, '$1']
+        ];
+        rules.forEach(([pattern, replacement]) => {
+            if (stem.length > 3) stem = stem.replace(pattern, replacement);
+        });
+
+        const suffixes = ['ational', 'ization', 'fulness', 'iveness', 'ousness', 'ness', 'ment', 'ity', 'ing', 'ed', 'ly'];
+        for (const suffix of suffixes) {
+            if (stem.endsWith(suffix) && stem.length - suffix.length >= 3) {
+                stem = stem.slice(0, -suffix.length);
+
+                // "clicking" → "click", "stopped" → "stop"
+                if ((suffix === 'ing' || suffix === 'ed') && /([^aeiouls])\1$/.test(stem)) {
+                    stem = stem.slice(0, -1);
+                }
+                break;
+            }
+        }
+
+        return stem;
+    }
+
+    // Querying
+    parseQuery(query) {
+        const phrases = [];
+        const terms = [];
+        const phrasePattern = /"([^"]+)"/g;
+        let match;
+
+        while ((match = phrasePattern.exec(query)) !== null) {
+            const phraseTerms = this.tokenize(match[1]).map(token => token.term);
+            if (phraseTerms.length > 1) {
+                phrases.push(phraseTerms);
+            } else if (phraseTerms.length === 1 && !phraseTerms[0].startsWith('~')) {
+                terms.push({ term: phraseTerms[0], exact: true });
+            }
+        }
+
+        const looseText = query.replace(phrasePattern, ' ');
+        const looseTokens = this.tokenize(looseText).filter(token => !token.stop);
+        const endsMidWord = /[\p{L}\p{N}]$/u.test(looseText);
+
+        looseTokens.forEach((token, index) => {
+            terms.push({
+                term: token.term,
+                raw: looseText.slice(token.start, token.end).toLowerCase(),
+                // The last word is probably still being typed
+                prefix: endsMidWord && index === looseTokens.length - 1
+            });
+        });
+
+        phrases.flat().filter(term => !term.startsWith('~')).forEach(term => {
+            if (!terms.some(entry => entry.term === term)) {
+                terms.push({ term, exact: true });
+            }
+        });
+
+        return { terms, phrases };
+    }
+
+    /**
+     * Maps a query term onto index terms with a weight: 1 for an exact match,
+     * less for prefix completions and typo corrections. Typos are measured
+     * against both words as written and their stems, so "moralty" still
+     * finds "morality".
+     */
+    expandTerm({ term, raw, exact, prefix }) {
+        const expansions = new Map();
+        const offer = (candidate, weight) => {
+            expansions.set(candidate, Math.max(expansions.get(candidate) || 0, weight));
+        };
+
+        if (this.postings.has(term)) {
+            offer(term, 1);
+        }
+        if (exact || !raw) return expansions;
+
+        const maxDistance = raw.length >= 8 ? 2 : (raw.length >= 4 ? 1 : 0);
+
+        this.surfaceForms.forEach((stem, word) => {
+            if (stem === term) return;
+
+            if (prefix && raw.length >= 3 && word.startsWith(raw)) {
+                offer(stem, 0.8);
+                return;
+            }
+
+            if (maxDistance > 0) {
+                const distance = Math.min(
+                    Math.abs(word.length - raw.length) <= maxDistance ? this.editDistance(raw, word, maxDistance) : Infinity,
+                    Math.abs(stem.length - term.length) <= maxDistance ? this.editDistance(term, stem, maxDistance) : Infinity
+                );
+                if (distance <= maxDistance) {
+                    offer(stem, distance === 1 ? 0.6 : 0.35);
+                }
+            }
+        });
+
+        return expansions;
+    }
+
+    /**
+     * Damerau-Levenshtein distance (adjacent transpositions count as one edit),
+     * giving up early once the distance must exceed maxDistance.
+     */
+    editDistance(a, b, maxDistance = Infinity) {
+        const rows = [];
+        for (let i = 0; i <= a.length; i++) {
+            rows[i] = [i];
+        }
+        for (let j = 0; j <= b.length; j++) {
+            rows[0][j] = j;
+        }
+
+        for (let i = 1; i <= a.length; i++) {
+            let rowMin = Infinity;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(
+                    rows[i - 1][j] + 1,
+                    rows[i][j - 1] + 1,
+                    rows[i - 1][j - 1] + cost
+                );
+
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, rows[i - 2][j - 2] + 1);
+                }
+
+                rows[i][j] = value;
+                rowMin = Math.min(rowMin, value);
+            }
+
+            if (rowMin > maxDistance) return rowMin;
+        }
+
+        return rows[a.length][b.length];
+    }
+
+    bm25(term, docIndex, field) {
+        const termPostings = this.postings.get(term);
+        const positions = termPostings?.get(docIndex)?.[field];
+        if (!positions || positions.length === 0) return 0;
+
+        const documentCount = this.docs.length;
+        const documentFrequency = termPostings.size;
+        const idf = Math.log(1 + (documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+        const length = this.fieldLengths[field][docIndex] || 0;
+        const average = this.averageLengths[field] || 1;
+        const frequency = positions.length;
+
+        return idf * (frequency * (this.k1 + 1)) /
+            (frequency + this.k1 * (1 - this.b + this.b * length / average));
+    }
+
+    matchesPhrase(phrase, docIndex) {
+        return ['title', 'body'].some(field => {
+            const starts = this.postings.get(phrase[0])?.get(docIndex)?.[field] || [];
+
+            return starts.some(start => phrase.every((term, offset) =>
+                (this.postings.get(term)?.get(docIndex)?.[field] || []).includes(start + offset)
+            ));
+        });
+    }
+
+    search(query, { limit = 8 } = {}) {
+        const { terms, phrases } = this.parseQuery(query);
+        if (terms.length === 0 && phrases.length === 0) return [];
+
+        const scores = new Map();
+        const matchedTerms = new Map();
+
+        terms.forEach(queryTerm => {
+            this.expandTerm(queryTerm).forEach((weight, term) => {
+                this.postings.get(term).forEach((_, docIndex) => {
+                    const score = Object.entries(this.fieldWeights).reduce((sum, [field, fieldWeight]) =>
+                        sum + fieldWeight * this.bm25(term, docIndex, field), 0);
+
+                    scores.set(docIndex, (scores.get(docIndex) || 0) + score * weight);
+
+                    if (!matchedTerms.has(docIndex)) matchedTerms.set(docIndex, new Set());
+                    matchedTerms.get(docIndex).add(term);
+                });
+            });
+        });
+
+        const results = [];
+        scores.forEach((score, docIndex) => {
+            // Every quoted phrase must appear verbatim
+            if (!phrases.every(phrase => this.matchesPhrase(phrase, docIndex))) return;
+
+            const doc = this.docs[docIndex];
+            const terms = matchedTerms.get(docIndex);
+
+            results.push({
+                id: doc.id,
+                title: doc.title,
+                ...doc.meta,
+                score: score * (1 + 0.5 * phrases.length),
+                matchedTerms: [...terms],
+                snippet: this.createSnippet(doc.text, terms, phrases)
+            });
+        });
+
+        return results.sort((a, b) => b.score - a.score).slice(0, limit);
+    }
+
+    // Suggestions
+    /**
+     * Completions for a partially typed query: matching section titles first,
+     * then index words that start with the last typed word, most common first.
+     */
+    suggest(query, { limit = 6 } = {}) {
+        const typed = query.toLowerCase().replace(/\s+/g, ' ').replace(/^ /, '');
+        if (typed.trim().length < 2) return [];
+
+        const suggestions = [];
+        const seen = new Set();
+        const add = (text, type) => {
+            const key = text.toLowerCase();
+            if (seen.has(key) || key === typed.trim()) return;
+            seen.add(key);
+            suggestions.push({ text, type });
+        };
+
+        const titlePattern = new RegExp(`(^|\\s)${typed.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`);
+        this.docs.forEach(doc => {
+            const title = doc.title.replace(/^[^\p{L}\p{N}]+/u, '').trim();
+            if (titlePattern.test(title.toLowerCase())) add(title, 'title');
+        });
+        suggestions.splice(Math.ceil(limit / 2));
+
+        // Complete the word being typed, keeping what came before it
+        const lastSpace = typed.lastIndexOf(' ');
+        const before = typed.slice(0, lastSpace + 1);
+        const partial = typed.slice(lastSpace + 1);
+
+        if (partial.length >= 2 && !this.stopWords.has(partial)) {
+            Array.from(this.surfaceForms)
+                .filter(([word]) => word.startsWith(partial) && word !== partial && !/^\d+$/.test(word))
+                .map(([word, stem]) => ({ word, frequency: this.postings.get(stem)?.size || 0 }))
+                .sort((a, b) => b.frequency - a.frequency || a.word.length - b.word.length)
+                .forEach(({ word }) => add(`${before}${word}`, 'term'));
+        }
+
+        return suggestions.slice(0, limit);
+    }
+
+    /**
+     * Rewrites unknown words to the closest indexed word, allowing wider typos
+     * than search() does. Returns null when nothing needed correcting.
+     */
+    didYouMean(query) {
+        let changed = false;
+
+        const corrected = query.replace(/[\p{L}\p{N}]+/gu, original => {
+            const word = original.toLowerCase();
+            if (word.length < 3 || this.stopWords.has(word) ||
+                this.surfaceForms.has(word) || this.postings.has(this.stem(word))) {
+                return original;
+            }
+
+            const replacement = this.closestWord(word);
+            if (!replacement) return original;
+
+            changed = true;
+            return replacement;
+        });
+
+        return changed ? corrected : null;
+    }
+
+    closestWord(word) {
+        const maxDistance = word.length >= 8 ? 3 : (word.length >= 5 ? 2 : 1);
+        let best = null;
+
+        this.surfaceForms.forEach((stem, candidate) => {
+            if (Math.abs(candidate.length - word.length) > maxDistance) return;
+
+            const distance = this.editDistance(word, candidate, maxDistance);
+            if (distance > maxDistance) return;
+
+            const frequency = this.postings.get(stem)?.size || 0;
+            if (!best || distance < best.distance || (distance === best.distance && frequency > best.frequency)) {
+                best = { word: candidate, distance, frequency };
+            }
+        });
+
+        return best ? best.word : null;
+    }
+
+    // Snippets
+    createSnippet(text, matchedTerms, phrases = [], windowSize = 24) {
+        const tokens = this.tokenize(text);
+        const phraseTerms = new Set(phrases.flat());
+        const isMatch = token => matchedTerms.has(token.term) || (phraseTerms.has(token.term) && !token.stop);
+
+        if (tokens.length === 0) return '';
+
+        // Slide a window over the tokens and keep the one with the most matches
+        let bestStart = 0;
+        let bestCount = -1;
+        let count = 0;
+
+        tokens.forEach((token, index) => {
+            if (isMatch(token)) count++;
+            if (index >= windowSize && isMatch(tokens[index - windowSize])) count--;
+
+            if (index >= Math.min(windowSize, tokens.length) - 1 && count > bestCount) {
+                bestCount = count;
+                bestStart = Math.max(0, index - windowSize + 1);
+            }
+        });
+
+        const windowTokens = tokens.slice(bestStart, bestStart + windowSize);
+        const startOffset = windowTokens[0].start;
+        const endOffset = windowTokens[windowTokens.length - 1].end;
+        let cursor = startOffset;
+        let snippet = '';
+
+        windowTokens.forEach(token => {
+            snippet += this.escapeHtml(text.slice(cursor, token.start));
+            const word = this.escapeHtml(text.slice(token.start, token.end));
+            snippet += isMatch(token) ? `<mark>${word}</mark>` : word;
+            cursor = token.end;
+        });
+
+        snippet += this.escapeHtml(text.slice(cursor, endOffset));
+
+        return `${startOffset > 0 ? '…' : ''}${snippet.trim()}${endOffset < text.length ? '…' : ''}`;
+    }
+
+    escapeHtml(text) {
+        return text.replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
+    // Serialization
+    toJSON() {
+        return {
+            formatVersion: this.formatVersion,
+            docs: this.docs,
+            fieldLengths: this.fieldLengths,
+            surfaceForms: Array.from(this.surfaceForms),
+            postings: Array.from(this.postings, ([term, docs]) => [
+                term,
+                Array.from(docs, ([docIndex, fields]) => [docIndex, fields.title, fields.body])
+            ])
+        };
+    }
+
+    loadJSON(data) {
+        if (!data || data.formatVersion !== this.formatVersion) return false;
+
+        this.reset();
+        this.docs = data.docs;
+        this.fieldLengths = data.fieldLengths;
+        this.surfaceForms = new Map(data.surfaceForms);
+        data.postings.forEach(([term, docs]) => {
+            this.postings.set(term, new Map(docs.map(([docIndex, title, body]) => [docIndex, { title, body }])));
+        });
+        this.updateAverages();
+        return true;
+    }
+
+    /**
+     * Cheap content fingerprint used to tell whether a cached index is stale
+     */
+    static signature(documents) {
+        let hash = 5381;
+        const content = JSON.stringify(documents);
+
+        for (let i = 0; i < content.length; i++) {
+            hash = ((hash << 5) + hash + content.charCodeAt(i)) | 0;
+        }
+
+        return `${content.length.toString(36)}-${(hash >>> 0).toString(36)}`;
+    }
+
+    /**
+     * Returns an index for the given documents, reusing the copy cached in
+     * site storage when the content has not changed since it was built.
+     */
+    static fromDocuments(documents, cacheKey = null) {
+        const index = new SearchIndex();
+        const signature = SearchIndex.signature(documents);
+
+        if (cacheKey) {
+            const cached = window.siteStorage.get(cacheKey);
+            if (cached && cached.signature === signature && index.loadJSON(cached.index)) {
+                return index;
+            }
+        }
+
+        documents.forEach(doc => index.addDocument(doc));
+
+        if (cacheKey) {
+            window.siteStorage.set(cacheKey, { signature, index: index.toJSON() });
+        }
+
+        return index;
+    }
+}
+
+window.SearchIndex = SearchIndex;
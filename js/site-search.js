@@ -0,0 +1,145 @@
+/**
+ * Site Page Indexer
+ * Searchable passages from the site's other pages, so the guide search can
+ * cover them too. They ship prebuilt in /data/site-search.json rather than
+ * being scraped on every visit; build() regenerates that file whenever
+ * about, privacy or terms change. The last copy loaded is kept in site
+ * storage for offline use.
+ */
+
+class SitePageIndexer {
+    constructor(url = '/data/site-search.json') {
+        this.url = url;
+        this.schemaVersion = 1;
+        this.storageKey = 'site-search-pages';
+        this.pages = [
+            { url: '/about.html', label: 'About' },
+            { url: '/privacy.html', label: 'Privacy' },
+            { url: '/terms.html', label: 'Terms' }
+        ];
+        this.refreshPromise = null;
+    }
+
+    loadCachedDocuments() {
+        const saved = window.siteStorage.get(this.storageKey);
+        return Array.isArray(saved) ? saved : [];
+    }
+
+    saveDocuments(documents) {
+        window.siteStorage.set(this.storageKey, documents);
+    }
+
+    /**
+     * Loads the prebuilt index and resolves with its passages. If it can't
+     * be loaded, the previously cached passages are used instead.
+     */
+    refresh() {
+        if (this.refreshPromise) return this.refreshPromise;
+
+        this.refreshPromise = this.fetchIndex().then(documents => {
+            this.saveDocuments(documents);
+            return documents;
+        }).catch(error => {
+            console.log('Could not load the site search index:', error);
+            return this.loadCachedDocuments();
+        }).finally(() => {
+            this.refreshPromise = null;
+        });
+
+        return this.refreshPromise;
+    }
+
+    async fetchIndex() {
+        const response = await fetch(this.url);
+        if (!response.ok) {
+            throw new Error(`Request failed (${response.status})`);
+        }
+
+        const data = await response.json();
+        if (!data || data.schemaVersion !== this.schemaVersion || !Array.isArray(data.documents)) {
+            throw new Error('Unsupported site search index format');
+        }
+
+        return data.documents.filter(doc =>
+            doc && ['id', 'title', 'text', 'page', 'url'].every(field => typeof doc[field] === 'string'));
+    }
+
+    // Building the index
+    /**
+     * Resolves with the contents for /data/site-search.json, read from the
+     * live pages. After editing a page, run this in the browser console on
+     * the site and commit the output:
+     *   copy(JSON.stringify(await siteSearchIndexer.build(), null, 2))
+     */
+    async build() {
+        const results = await Promise.all(this.pages.map(page => this.fetchPageDocuments(page)));
+        return { schemaVersion: this.schemaVersion, documents: results.flat() };
+    }
+
+    async fetchPageDocuments(page) {
+        const response = await fetch(page.url);
+        if (!response.ok) {
+            throw new Error(`Request failed (${response.status})`);
+        }
+
+        const html = await response.text();
+        const parsed = new DOMParser().parseFromString(html, 'text/html');
+        return this.extractDocuments(parsed, page);
+    }
+
+    /**
+     * Splits a page's main content into one passage per h2/h3 heading
+     */
+    extractDocuments(doc, page) {
+        const main = doc.querySelector('main');
+        if (!main) return [];
+
+        // Same ids the live page assigns, so the links below resolve
+        window.loveMoneyApp?.assignHeadingAnchors(doc);
+
+        const documents = [];
+        const pageTitle = (doc.querySelector('h1')?.textContent || page.label).replace(/\s+/g, ' ').trim();
+        let current = { id: '', title: pageTitle, parts: [] };
+
+        const walker = doc.createTreeWalker(main, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+            acceptNode: node => node.nodeType === Node.ELEMENT_NODE && ['SCRIPT', 'STYLE', 'BUTTON'].includes(node.tagName) ?
+                NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+        });
+
+        const flush = () => {
+            const text = current.parts.join(' ').replace(/\s+/g, ' ').trim();
+            // Markup that reached the page as escaped source (\n, \") didn't parse; it isn't content
+            if (/\\[n"]/.test(text)) {
+                console.warn(`Skipped "${current.title}" on ${page.url}: the page's markup is broken there`);
+                return;
+            }
+            if (text) {
+                documents.push({
+                    id: `${page.label.toLowerCase()}-${current.id || 'top'}`,
+                    title: current.title,
+                    text,
+                    page: page.label,
+                    url: current.id ? `${page.url}#${current.id}` : page.url
+                });
+            }
+        };
+
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+
+            if (node.nodeType === Node.ELEMENT_NODE) {
+                if (node.tagName === 'H2' || node.tagName === 'H3') {
+                    flush();
+                    current = { id: node.id, title: node.textContent.replace(/\s+/g, ' ').trim(), parts: [] };
+                }
+            } else if (!node.parentElement.closest('h2, h3')) {
+                current.parts.push(node.nodeValue);
+            }
+        }
+
+        flush();
+        return documents;
+    }
+}
+
+window.siteSearchIndexer = new SitePageIndexer();
@@ -0,0 +1,364 @@
+/**
+ * Site Storage
+ * Namespaced, versioned wrapper around localStorage. Falls back to IndexedDB
+ * (or memory) when localStorage is unavailable, runs migrations when the
+ * stored schema is older than this code, and reports write failures instead
+ * of dropping them.
+ */
+
+class SiteStorage {
+    constructor() {
+        this.namespace = 'lovemoney';
+        this.databaseName = 'lovemoney-help';
+        this.storeName = 'entries';
+        this.memory = new Map(); // Mirror of the IndexedDB store, which can only be read asynchronously
+        this.databasePromise = null;
+        this.lastError = null;
+        this.isLoaded = false;
+
+        // Index n upgrades stored data from schema version n to n + 1
+        this.migrations = [
+            () => this.migrateLegacyKeys(),
+            () => this.migrateReadingProgress()
+        ];
+        this.schemaVersion = this.migrations.length;
+
+        // Rebuildable caches, dropped first when storage is full
+        this.evictable = ['search-index', 'site-search-pages'];
+
+        this.backend = this.detectBackend();
+        // Until isLoaded is true (IndexedDB only), reads return fallbacks; wait for ready
+        this.ready = this.init();
+    }
+
+    detectBackend() {
+        try {
+            const probe = this.key('probe');
+            localStorage.setItem(probe, '1');
+            localStorage.removeItem(probe);
+            return 'localStorage';
+        } catch (e) {
+            // A full store is still readable; keep using it
+            if (this.isQuotaError(e)) return 'localStorage';
+        }
+
+        return typeof indexedDB !== 'undefined' ? 'indexedDB' : 'memory';
+    }
+
+    init() {
+        if (this.backend !== 'indexedDB') {
+            this.migrate();
+            this.isLoaded = true;
+            return Promise.resolve(this);
+        }
+
+        return this.loadIndexedDB()
+            .catch(error => {
+                console.log('Could not open IndexedDB, keeping data in memory:', error);
+                this.backend = 'memory';
+            })
+            .then(() => {
+                this.migrate();
+                this.isLoaded = true;
+                return this;
+            });
+    }
+
+    key(name) {
+        return `${this.namespace}:${name}`;
+    }
+
+    // Reading and Writing
+    get(name, fallback = null) {
+        const raw = this.getRaw(this.key(name));
+        if (raw === null || raw === undefined) return fallback;
+
+        try {
+            return JSON.parse(raw);
+        } catch (e) {
+            console.log(`Could not read stored ${name}:`, e);
+            return fallback;
+        }
+    }
+
+    /**
+     * Returns false when the value could not be stored. Listeners on the
+     * `sitestorage:error` window event hear about every failure.
+     */
+    set(name, value) {
+        const key = this.key(name);
+        const raw = JSON.stringify(value);
+
+        try {
+            this.setRaw(key, raw);
+            return true;
+        } catch (e) {
+            if (this.isQuotaError(e) && this.evictCaches(name)) {
+                try {
+                    this.setRaw(key, raw);
+                    return true;
+                } catch (retryError) {
+                    e = retryError;
+                }
+            }
+
+            this.reportError(name, e);
+            return false;
+        }
+    }
+
+    remove(name) {
+        try {
+            this.removeRaw(this.key(name));
+        } catch (e) {
+            this.reportError(name, e);
+        }
+    }
+
+    has(name) {
+        return this.getRaw(this.key(name)) !== null;
+    }
+
+    /**
+     * Names (without the namespace) of everything this site has stored
+     */
+    keys() {
+        const prefix = `${this.namespace}:`;
+        let keys;
+
+        if (this.backend === 'localStorage') {
+            keys = [];
+            for (let i = 0; i < localStorage.length; i++) {
+                keys.push(localStorage.key(i));
+            }
+        } else {
+            keys = Array.from(this.memory.keys());
+        }
+
+        return keys.filter(key => key && key.startsWith(prefix)).map(key => key.slice(prefix.length));
+    }
+
+    /**
+     * Removes everything the site keeps in this browser, including keys left
+     * over from before the storage layer, and starts again at the current schema.
+     */
+    resetAll() {
+        this.keys().forEach(name => this.remove(name));
+        this.legacyKeys().forEach(([legacyKey]) => this.removeLegacy(legacyKey));
+
+        // A database left from a visit when localStorage was blocked
+        if (this.backend === 'localStorage' && typeof indexedDB !== 'undefined') {
+            indexedDB.deleteDatabase(this.databaseName);
+        }
+
+        this.setRaw(this.key('schema'), String(this.schemaVersion));
+        window.dispatchEvent(new CustomEvent('sitestorage:reset'));
+    }
+
+    // Backends
+    getRaw(key) {
+        if (this.backend === 'localStorage') {
+            try {
+                return localStorage.getItem(key);
+            } catch (e) {
+                return null;
+            }
+        }
+
+        return this.memory.has(key) ? this.memory.get(key) : null;
+    }
+
+    setRaw(key, raw) {
+        if (this.backend === 'localStorage') {
+            localStorage.setItem(key, raw);
+            return;
+        }
+
+        this.memory.set(key, raw);
+        this.persistIndexedDB(key, raw);
+    }
+
+    removeRaw(key) {
+        if (this.backend === 'localStorage') {
+            localStorage.removeItem(key);
+            return;
+        }
+
+        this.memory.delete(key);
+        this.persistIndexedDB(key, null);
+    }
+
+    openDatabase() {
+        if (!this.databasePromise) {
+            this.databasePromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+
+            // Allow a later call to retry after a failure
+            this.databasePromise.catch(() => {
+                this.databasePromise = null;
+            });
+        }
+
+        return this.databasePromise;
+    }
+
+    loadIndexedDB() {
+        return this.openDatabase().then(database => new Promise((resolve, reject) => {
+            const request = database.transaction(this.storeName, 'readonly').objectStore(this.storeName).openCursor();
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve();
+                    return;
+                }
+
+                // Writes made before loading finished are newer than what is stored
+                if (!this.memory.has(cursor.key)) {
+                    this.memory.set(cursor.key, cursor.value);
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        }));
+    }
+
+    persistIndexedDB(key, raw) {
+        if (this.backend !== 'indexedDB') return;
+
+        this.openDatabase().then(database => {
+            const transaction = database.transaction(this.storeName, 'readwrite');
+            const store = transaction.objectStore(this.storeName);
+
+            if (raw === null) {
+                store.delete(key);
+            } else {
+                store.put(raw, key);
+            }
+
+            transaction.onerror = () => this.reportError(key, transaction.error);
+        }).catch(error => this.reportError(key, error));
+    }
+
+    // Errors
+    isQuotaError(error) {
+        return Boolean(error) && (
+            error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22
+        );
+    }
+
+    evictCaches(exceptName) {
+        const evicted = this.evictable.filter(name => name !== exceptName && this.has(name));
+        evicted.forEach(name => this.remove(name));
+        return evicted.length > 0;
+    }
+
+    reportError(name, error) {
+        this.lastError = { name, error, quota: this.isQuotaError(error) };
+        console.warn(`Could not store ${name}:`, error);
+        window.dispatchEvent(new CustomEvent('sitestorage:error', { detail: this.lastError }));
+    }
+
+    // Migrations
+    migrate() {
+        const schemaKey = this.key('schema');
+        let version = parseInt(this.getRaw(schemaKey)) || 0;
+        if (version >= this.schemaVersion) return;
+
+        for (; version < this.schemaVersion; version++) {
+            try {
+                this.migrations[version]();
+            } catch (e) {
+                console.log(`Storage migration ${version + 1} failed:`, e);
+            }
+        }
+
+        try {
+            this.setRaw(schemaKey, String(this.schemaVersion));
+        } catch (e) {
+            this.reportError('schema', e);
+        }
+    }
+
+    /**
+     * Keys written before the storage layer existed: [old key, new name, parse].
+     * A null name means the old data is a cache or probe and is just deleted.
+     */
+    legacyKeys() {
+        return [
+            ['analytics_disabled', 'analytics-disabled', raw => raw === 'true'],
+            ['lovemoney-guide-progress', 'guide-progress', JSON.parse],
+            ['lovemoney-click-rate', 'click-rate', JSON.parse],
+            ['lovemoney-search-history', 'search-history', JSON.parse],
+            ['lovemoney-saved-scenarios', 'saved-scenarios', JSON.parse],
+            ['lovemoney-search-index', null],
+            ['lovemoney-site-search-pages', null],
+            ['test', null]
+        ];
+    }
+
+    readLegacy(legacyKey) {
+        try {
+            return localStorage.getItem(legacyKey);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    removeLegacy(legacyKey) {
+        try {
+            localStorage.removeItem(legacyKey);
+        } catch (e) {
+            // localStorage unavailable, so there is nothing to remove
+        }
+    }
+
+    // 0 → 1: move the original ad-hoc keys under the namespace
+    migrateLegacyKeys() {
+        this.legacyKeys().forEach(([legacyKey, name, parse]) => {
+            const raw = this.readLegacy(legacyKey);
+            if (raw === null) return;
+
+            if (name && !this.has(name)) {
+                try {
+                    this.set(name, parse(raw));
+                } catch (e) {
+                    console.log(`Could not migrate ${legacyKey}:`, e);
+                }
+            }
+
+            this.removeLegacy(legacyKey);
+        });
+    }
+
+    // 1 → 2: reading progress was a flat map of { read, timestamp } per section
+    migrateReadingProgress() {
+        const progress = this.get('guide-progress');
+        if (!progress || progress.sections) return;
+
+        const sections = {};
+        Object.entries(progress).forEach(([sectionId, entry]) => {
+            if (!entry || typeof entry !== 'object') return;
+
+            sections[sectionId] = {
+                read: Boolean(entry.read),
+                depth: entry.read ? 1 : 0,
+                dwell: 0,
+                timestamp: entry.timestamp || Date.now()
+            };
+            if (entry.read) {
+                sections[sectionId].readAt = entry.timestamp;
+            }
+        });
+
+        this.set('guide-progress', { sections, lastPosition: null });
+    }
+}
+
+window.siteStorage = new SiteStorage();
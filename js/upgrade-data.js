@@ -0,0 +1,153 @@
+/**
+ * Upgrade Data Store
+ * Loads and validates the versioned upgrade table shared by the guide and calculator
+ */
+
+class UpgradeDataStore {
+    constructor(url = '/data/upgrades.json') {
+        this.url = url;
+        this.schemaVersion = 1;
+        this.severities = ['neutral', 'low', 'medium', 'high'];
+        this.versions = {};
+        this.defaultVersion = null;
+        this.loadPromise = null;
+    }
+
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.fetchData().catch(error => {
+                // Allow a later call to try again (e.g. after coming back online)
+                this.loadPromise = null;
+                throw error;
+            });
+        }
+
+        return this.loadPromise;
+    }
+
+    async fetchData() {
+        const response = await fetch(this.url);
+        if (!response.ok) {
+            throw new Error(`Upgrade data request failed (${response.status})`);
+        }
+
+        this.applyData(await response.json());
+        return this;
+    }
+
+    applyData(data) {
+        if (!data || data.schemaVersion !== this.schemaVersion || !Array.isArray(data.versions)) {
+            throw new Error('Unsupported upgrade data format');
+        }
+
+        this.versions = {};
+
+        data.versions.forEach(entry => {
+            const errors = this.validateVersion(entry);
+            if (errors.length > 0) {
+                console.warn(`Rejected upgrade data version "${entry?.version}":`, errors);
+                return;
+            }
+
+            this.versions[entry.version] = {
+                version: entry.version,
+                label: entry.label || entry.version,
+                upgrades: entry.upgrades.map((upgrade, level) => ({ ...upgrade, level }))
+            };
+        });
+
+        const available = Object.keys(this.versions);
+        if (available.length === 0) {
+            throw new Error('No valid upgrade data versions');
+        }
+
+        this.defaultVersion = this.versions[data.defaultVersion] ? data.defaultVersion : available[0];
+    }
+
+    validateVersion(entry) {
+        if (!entry || typeof entry.version !== 'string' || !entry.version) {
+            return ['missing version identifier'];
+        }
+
+        if (!Array.isArray(entry.upgrades) || entry.upgrades.length === 0) {
+            return ['upgrades must be a non-empty array'];
+        }
+
+        const errors = [];
+        const ids = new Set();
+
+        entry.upgrades.forEach((upgrade, level) => {
+            this.validateUpgrade(upgrade).forEach(error => {
+                errors.push(`level ${level}: ${error}`);
+            });
+
+            if (upgrade && ids.has(upgrade.id)) {
+                errors.push(`level ${level}: duplicate id "${upgrade.id}"`);
+            }
+            ids.add(upgrade?.id);
+
+            const previous = entry.upgrades[level - 1];
+            if (level > 0 && previous && upgrade && upgrade.cost < previous.cost) {
+                errors.push(`level ${level}: cost is lower than the previous level`);
+            }
+        });
+
+        if (entry.upgrades[0] && entry.upgrades[0].cost !== 0) {
+            errors.push('level 0 must be free');
+        }
+
+        return errors;
+    }
+
+    validateUpgrade(upgrade) {
+        if (!upgrade || typeof upgrade !== 'object') {
+            return ['entry must be an object'];
+        }
+
+        const errors = [];
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+        if (typeof upgrade.id !== 'string' || !/^[a-z0-9-]+$/.test(upgrade.id)) {
+            errors.push('id must be a lowercase slug');
+        }
+        if (typeof upgrade.name !== 'string' || !upgrade.name.trim()) {
+            errors.push('name is required');
+        }
+        if (!isNumber(upgrade.cost) || upgrade.cost < 0) {
+            errors.push('cost must be a non-negative number');
+        }
+        if (!isNumber(upgrade.earnings) || upgrade.earnings <= 0) {
+            errors.push('earnings must be a positive number');
+        }
+        if (!isNumber(upgrade.moral) || upgrade.moral > 0) {
+            errors.push('moral must be zero or a negative number');
+        }
+        if (!this.severities.includes(upgrade.severity)) {
+            errors.push(`severity must be one of ${this.severities.join(', ')}`);
+        }
+        if (upgrade.description !== undefined && typeof upgrade.description !== 'string') {
+            errors.push('description must be a string');
+        }
+
+        return errors;
+    }
+
+    getVersions() {
+        return Object.values(this.versions).map(({ version, label }) => ({
+            version,
+            label,
+            isDefault: version === this.defaultVersion
+        }));
+    }
+
+    getUpgrades(version = this.defaultVersion) {
+        const entry = this.versions[version] || this.versions[this.defaultVersion];
+        return entry ? entry.upgrades.map(upgrade => ({ ...upgrade })) : [];
+    }
+
+    hasVersion(version) {
+        return Boolean(this.versions[version]);
+    }
+}
+
+window.upgradeDataStore = new UpgradeDataStore();
@@ -0,0 +1,278 @@
+/**
+ * Upgrade Path Solver
+ * Searches every purchase order to find the fastest way to reach a money target
+ * for each achievable final moral score
+ */
+
+class UpgradePathSolver {
+    constructor(options = {}) {
+        this.startingMoral = options.startingMoral ?? 100;
+    }
+
+    /**
+     * Returns the Pareto frontier of plans: no other plan reaches the target
+     * in fewer clicks without also ending at a lower moral score.
+     * Plans are ordered by total clicks, fastest first. Optional minMoral and
+     * maxMoral bounds restrict which final moral scores are acceptable.
+     */
+    solve({ target, startMoney = 0, startLevel = 0, upgrades, minMoral = -Infinity, maxMoral = Infinity }) {
+        const startMoral = this.getStartingMoral(startLevel, upgrades);
+        const queue = new PlanQueue();
+        const settled = new Map();
+        const frontier = [];
+        let bestMoral = -Infinity;
+
+        queue.push({ level: startLevel, moral: startMoral, money: startMoney, clicks: 0, parent: null, done: false });
+
+        while (queue.size > 0) {
+            const label = queue.pop();
+
+            // Morality never recovers, so anything no better than a faster finished plan is useless
+            if (label.moral <= bestMoral || label.moral < minMoral) continue;
+
+            if (label.done) {
+                if (label.moral > maxMoral) continue;
+
+                bestMoral = label.moral;
+                frontier.push(this.buildPlan(label, target, startMoney, startLevel, upgrades));
+                continue;
+            }
+
+            if (this.isDominated(label, settled)) continue;
+
+            const earnings = upgrades[label.level].earnings;
+            const finishClicks = Math.ceil(Math.max(0, target - label.money) / earnings);
+
+            queue.push({
+                ...label,
+                money: label.money + finishClicks * earnings,
+                clicks: label.clicks + finishClicks,
+                parent: label,
+                done: true
+            });
+
+            this.expandPurchases(label, upgrades).forEach(next => queue.push(next));
+        }
+
+        return frontier;
+    }
+
+    /**
+     * Finds the plan that ends with the most money after spending exactly
+     * clickBudget clicks while keeping the final moral score within bounds.
+     * Returns null when no purchase order satisfies the bounds.
+     */
+    maximizeMoney({ clickBudget, startMoney = 0, startLevel = 0, upgrades, minMoral = -Infinity, maxMoral = Infinity }) {
+        const startMoral = this.getStartingMoral(startLevel, upgrades);
+        const pending = [{ level: startLevel, moral: startMoral, money: startMoney, clicks: 0, parent: null }];
+        const settled = new Map();
+        let best = null;
+        let bestMoney = -Infinity;
+
+        while (pending.length > 0) {
+            const label = pending.pop();
+
+            if (label.moral < minMoral || this.isDominated(label, settled)) continue;
+
+            const finalMoney = label.money + (clickBudget - label.clicks) * upgrades[label.level].earnings;
+            if (label.moral <= maxMoral && finalMoney > bestMoney) {
+                best = label;
+                bestMoney = finalMoney;
+            }
+
+            this.expandPurchases(label, upgrades)
+                .filter(next => next.clicks <= clickBudget)
+                .forEach(next => pending.push(next));
+        }
+
+        if (!best) return null;
+
+        return this.simulate({
+            startMoney,
+            startLevel,
+            upgrades,
+            sequence: this.getSequence(best),
+            clickBudget
+        });
+    }
+
+    /**
+     * Records a label for its (level, moral) node unless an earlier label there
+     * already had at least as much money in no more clicks.
+     */
+    isDominated(label, settled) {
+        const nodeKey = `${label.level}:${label.moral}`;
+        const nodeLabels = settled.get(nodeKey) || [];
+
+        if (nodeLabels.some(other => other.clicks <= label.clicks && other.money >= label.money)) {
+            return true;
+        }
+
+        nodeLabels.push(label);
+        settled.set(nodeKey, nodeLabels);
+        return false;
+    }
+
+    expandPurchases(label, upgrades) {
+        const earnings = upgrades[label.level].earnings;
+        const next = [];
+
+        for (let level = label.level + 1; level < upgrades.length; level++) {
+            const upgrade = upgrades[level];
+            const clicks = Math.ceil(Math.max(0, upgrade.cost - label.money) / earnings);
+
+            next.push({
+                level,
+                moral: label.moral + upgrade.moral,
+                money: label.money + clicks * earnings - upgrade.cost,
+                clicks: label.clicks + clicks,
+                parent: label,
+                done: false
+            });
+        }
+
+        return next;
+    }
+
+    buildPlan(label, target, startMoney, startLevel, upgrades) {
+        return this.simulate({ target, startMoney, startLevel, upgrades, sequence: this.getSequence(label.parent) });
+    }
+
+    getSequence(label) {
+        const sequence = [];
+        for (let node = label; node && node.parent; node = node.parent) {
+            sequence.unshift(node.level);
+        }
+        return sequence;
+    }
+
+    /**
+     * Plays out a fixed purchase order, buying each upgrade as soon as it is
+     * affordable and deducting its cost from the money on hand. The run ends
+     * at the money target, or after clickBudget clicks when one is given.
+     */
+    simulate({ target = 0, startMoney = 0, startLevel = 0, upgrades, sequence, clickBudget }) {
+        let money = startMoney;
+        let level = startLevel;
+        let moral = this.getStartingMoral(startLevel, upgrades);
+        let clicks = 0;
+        let earned = startMoney;
+        const steps = [];
+
+        // Chart-ready points; a purchase adds a point before and after the cost is paid
+        const timeline = [];
+        const addPoint = (purchase = null) => {
+            timeline.push({ clicks, money, earned, earnings: upgrades[level].earnings, moral, purchase });
+        };
+        addPoint();
+
+        sequence.forEach(nextLevel => {
+            const upgrade = upgrades[nextLevel];
+            const clicksNeeded = Math.ceil(Math.max(0, upgrade.cost - money) / upgrades[level].earnings);
+
+            clicks += clicksNeeded;
+            money += clicksNeeded * upgrades[level].earnings;
+            earned += clicksNeeded * upgrades[level].earnings;
+            addPoint();
+
+            money -= upgrade.cost;
+            moral += upgrade.moral;
+            level = nextLevel;
+            addPoint({ name: upgrade.name, cost: upgrade.cost, moralImpact: upgrade.moral });
+
+            steps.push({
+                level,
+                upgrade: upgrade.name,
+                cost: upgrade.cost,
+                moralImpact: upgrade.moral,
+                newMoralScore: moral,
+                atClick: clicks,
+                moneyAfter: money
+            });
+        });
+
+        const finalClicks = clickBudget !== undefined
+            ? Math.max(0, clickBudget - clicks)
+            : Math.ceil(Math.max(0, target - money) / upgrades[level].earnings);
+        clicks += finalClicks;
+        money += finalClicks * upgrades[level].earnings;
+        earned += finalClicks * upgrades[level].earnings;
+        addPoint();
+
+        return {
+            sequence: [...sequence],
+            totalClicks: clicks,
+            finalMoral: moral,
+            finalMoney: money,
+            finalLevel: level,
+            steps,
+            timeline
+        };
+    }
+
+    getStartingMoral(startLevel, upgrades) {
+        let moral = this.startingMoral;
+        for (let level = 1; level <= startLevel; level++) {
+            moral += upgrades[level].moral;
+        }
+        return moral;
+    }
+}
+
+/**
+ * Minimal binary heap ordered by clicks, preferring higher moral on ties
+ */
+class PlanQueue {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    compare(a, b) {
+        return a.clicks - b.clicks || b.moral - a.moral;
+    }
+
+    push(item) {
+        const items = this.items;
+        items.push(item);
+
+        let index = items.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.compare(items[index], items[parent]) >= 0) break;
+            [items[index], items[parent]] = [items[parent], items[index]];
+            index = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+
+        if (items.length > 0) {
+            items[0] = last;
+            let index = 0;
+
+            while (true) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+
+                if (left < items.length && this.compare(items[left], items[smallest]) < 0) smallest = left;
+                if (right < items.length && this.compare(items[right], items[smallest]) < 0) smallest = right;
+                if (smallest === index) break;
+
+                [items[index], items[smallest]] = [items[smallest], items[index]];
+                index = smallest;
+            }
+        }
+
+        return top;
+    }
+}
+
+window.upgradePathSolver = new UpgradePathSolver();
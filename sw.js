@@ -3,9 +3,9 @@
  * Provides offline functionality, caching, and background sync
  */
 
-const CACHE_NAME = 'lovemoney-help-v1.0.0';
-const STATIC_CACHE_NAME = 'lovemoney-static-v1.0.0';
-const DYNAMIC_CACHE_NAME = 'lovemoney-dynamic-v1.0.0';
+const CACHE_NAME = 'lovemoney-help-v1.1.1';
+const STATIC_CACHE_NAME = 'lovemoney-static-v1.1.1';
+const DYNAMIC_CACHE_NAME = 'lovemoney-dynamic-v1.1.1';
 
 // Files to cache for offline functionality
 const STATIC_ASSETS = [
@@ -18,10 +18,31 @@ const STATIC_ASSETS = [
   '/css/main.css',
   '/css/game-embed.css',
   '/css/mobile.css',
+  '/css/guide.css',
+  '/js/storage.js',
   '/js/main.js',
+  '/js/retry-policy.js',
+  '/js/game-sources.js',
+  '/js/game-protocol.js',
+  '/js/game-lifecycle.js',
   '/js/game-embed.js',
   '/js/compatibility.js',
   '/js/analytics.js',
+  '/js/reader-settings.js',
+  '/js/upgrade-data.js',
+  '/js/upgrade-solver.js',
+  '/js/click-rate.js',
+  '/js/path-chart.js',
+  '/js/ending-simulator.js',
+  '/js/search-index.js',
+  '/js/site-search.js',
+  '/js/search-history.js',
+  '/js/guide-annotations.js',
+  '/js/progress-transfer.js',
+  '/js/quiz-engine.js',
+  '/js/guide.js',
+  '/assets/fonts/opendyslexic-latin-400-normal.woff2',
+  '/assets/fonts/opendyslexic-latin-700-normal.woff2',
   '/manifest.json'
 ];
 
@@ -178,10 +199,11 @@ self.addEventListener('message', event => {
  */
 
 function isStaticAsset(url) {
-  return STATIC_ASSETS.some(asset => url.includes(asset)) ||
-         url.includes('.css') ||
-         url.includes('.js') ||
-         url.includes('manifest.json');
+  // Match whole paths and real extensions: every URL contains '/', and '/data/*.json' contains '.js'
+  const { origin, pathname } = new URL(url);
+  return (origin === self.location.origin && STATIC_ASSETS.includes(pathname)) ||
+         /\.(css|js)$/.test(pathname) ||
+         pathname.endsWith('/manifest.json');
 }
 
 function isDynamicAsset(url) {